@@ -0,0 +1,355 @@
+/**
+ * Icon and image asset mirroring
+ *
+ * Assets referenced by token metadata (icon, image), extensions (icon) and NFT collections
+ * (banner) are downloaded at registration time, validated (HTTPS, content type, byte size,
+ * pixel dimensions) and stored content-addressed under docs/assets/{sha256}.{ext}. The token
+ * or collection file records them under "assets", keyed by the source field.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { crypto: tCrypto } = require('tapyrusjs-lib');
+
+const DOCS_DIR = 'docs';
+const ASSETS_DIR = 'assets';
+
+// Allowed content types and the file extension used for the mirrored copy
+const CONTENT_TYPE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+// Limits per source field
+const ASSET_LIMITS = {
+  icon: { maxBytes: 512 * 1024, minDimension: 16, maxDimension: 2048 },
+  image: { maxBytes: 5 * 1024 * 1024, minDimension: 16, maxDimension: 8192 },
+  banner: { maxBytes: 2 * 1024 * 1024, minDimension: 16, maxDimension: 4096 }
+};
+
+const DOWNLOAD_TIMEOUT_MS = 15000;
+const MAX_REDIRECTS = 3;
+
+/**
+ * Read format and pixel dimensions from PNG, JPEG, GIF or WebP content
+ */
+function readImageInfo(buffer) {
+  // PNG: signature + IHDR chunk
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.toString('ascii', 12, 16) === 'IHDR') {
+    return { contentType: 'image/png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  // GIF: "GIF87a" / "GIF89a" + logical screen size
+  if (buffer.length >= 10 && /^GIF8[79]a$/.test(buffer.toString('ascii', 0, 6))) {
+    return { contentType: 'image/gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+
+  // WebP: RIFF container with VP8 / VP8L / VP8X chunk
+  if (buffer.length >= 30 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    const chunk = buffer.toString('ascii', 12, 16);
+    if (chunk === 'VP8 ') {
+      return { contentType: 'image/webp', width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return { contentType: 'image/webp', width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') {
+      return { contentType: 'image/webp', width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+  }
+
+  // JPEG: scan markers up to the first SOFn frame header
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) {
+        return null;
+      }
+      const marker = buffer[offset + 1];
+      const length = buffer.readUInt16BE(offset + 2);
+      const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+      if (isStartOfFrame) {
+        return { contentType: 'image/jpeg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + length;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Download an asset over HTTPS, following redirects and enforcing the size limit
+ *
+ * options.allowHttp permits plain HTTP (used only by tests against a local stub).
+ */
+function downloadAsset(url, options = {}, redirects = 0) {
+  const { maxBytes, allowHttp = false, timeout = DOWNLOAD_TIMEOUT_MS } = options;
+
+  return new Promise((resolve, reject) => {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (err) {
+      reject(new Error(`Invalid URL: ${url}`));
+      return;
+    }
+
+    if (parsed.protocol !== 'https:' && !(allowHttp && parsed.protocol === 'http:')) {
+      reject(new Error(`${url} is not an HTTPS URL`));
+      return;
+    }
+
+    const transport = parsed.protocol === 'http:' ? http : https;
+    const req = transport.get(parsed, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          reject(new Error(`Too many redirects fetching ${url}`));
+          return;
+        }
+        const location = new URL(res.headers.location, parsed).toString();
+        downloadAsset(location, options, redirects + 1).then(resolve, reject);
+        return;
+      }
+
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`Failed to fetch ${url}: HTTP ${res.statusCode}`));
+        return;
+      }
+
+      const declaredLength = parseInt(res.headers['content-length'], 10);
+      if (maxBytes && declaredLength > maxBytes) {
+        res.destroy();
+        reject(new Error(`${url} is ${declaredLength} bytes, larger than the ${maxBytes} bytes limit`));
+        return;
+      }
+
+      const chunks = [];
+      let received = 0;
+      res.on('data', chunk => {
+        received += chunk.length;
+        if (maxBytes && received > maxBytes) {
+          res.destroy();
+          reject(new Error(`${url} is larger than the ${maxBytes} bytes limit`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => {
+        resolve({
+          content: Buffer.concat(chunks),
+          contentType: String(res.headers['content-type'] || '').split(';')[0].trim().toLowerCase()
+        });
+      });
+      res.on('error', reject);
+    });
+
+    req.setTimeout(timeout, () => {
+      req.destroy(new Error(`Timed out fetching ${url}`));
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Decode a base64 Data URI
+ */
+function decodeDataUri(uri) {
+  const match = uri.match(/^data:([^;,]+)(;[^,]*)?;base64,(.*)$/);
+  if (!match) {
+    throw new Error('Data URI must be base64 encoded');
+  }
+  return { content: Buffer.from(match[3], 'base64'), contentType: match[1].toLowerCase() };
+}
+
+/**
+ * Validate asset content against the limits for a source field, returning its image info
+ */
+function validateAsset(field, content, contentType) {
+  const limits = ASSET_LIMITS[field.split('.').pop()] || ASSET_LIMITS.icon;
+
+  if (!CONTENT_TYPE_EXTENSIONS[contentType]) {
+    throw new Error(`${field} content type ${contentType || '(none)'} is not allowed (allowed: ${Object.keys(CONTENT_TYPE_EXTENSIONS).join(', ')})`);
+  }
+  if (content.length > limits.maxBytes) {
+    throw new Error(`${field} is ${content.length} bytes, larger than the ${limits.maxBytes} bytes limit`);
+  }
+
+  const info = readImageInfo(content);
+  if (!info) {
+    throw new Error(`${field} is not a valid PNG, JPEG, GIF or WebP image`);
+  }
+  if (info.contentType !== contentType) {
+    throw new Error(`${field} is served as ${contentType} but its content is ${info.contentType}`);
+  }
+
+  for (const dimension of ['width', 'height']) {
+    if (info[dimension] < limits.minDimension || info[dimension] > limits.maxDimension) {
+      throw new Error(`${field} ${dimension} ${info[dimension]}px is outside ${limits.minDimension}-${limits.maxDimension}px`);
+    }
+  }
+
+  return info;
+}
+
+/**
+ * Fetch and validate an asset, returning its record and content (nothing is written)
+ *
+ * options.download replaces downloadAsset (same signature).
+ */
+async function prepareAsset(field, url, options = {}) {
+  const limits = ASSET_LIMITS[field.split('.').pop()] || ASSET_LIMITS.icon;
+  const download = options.download || downloadAsset;
+  const { content, contentType } = url.startsWith('data:')
+    ? decodeDataUri(url)
+    : await download(url, { ...options, maxBytes: limits.maxBytes });
+
+  const info = validateAsset(field, content, contentType);
+  const sha256 = tCrypto.sha256(content).toString('hex');
+
+  return {
+    field,
+    content,
+    record: {
+      source: url.startsWith('data:') ? 'data-uri' : url,
+      path: `${ASSETS_DIR}/${sha256}.${CONTENT_TYPE_EXTENSIONS[contentType]}`,
+      sha256,
+      content_type: contentType,
+      size: content.length,
+      width: info.width,
+      height: info.height
+    }
+  };
+}
+
+/**
+ * Collect the asset URLs of a token or collection record, keyed by source field
+ */
+function collectAssetUrls(tokenData) {
+  const urls = {};
+  const metadata = tokenData.metadata || {};
+  const extensions = tokenData.extensions || {};
+
+  if (tokenData.banner) {
+    urls.banner = tokenData.banner;
+  }
+  if (metadata.icon) {
+    urls.icon = metadata.icon;
+  }
+  if (metadata.image) {
+    urls.image = metadata.image;
+  }
+  if (extensions.icon) {
+    urls['extensions.icon'] = extensions.icon;
+  }
+
+  return urls;
+}
+
+/**
+ * Fetch and validate every asset of a token record
+ *
+ * Assets already recorded for the same source are kept unless options.refresh is set.
+ * options.log reports progress (default console.log).
+ */
+async function prepareAssets(tokenData, options = {}) {
+  const existing = tokenData.assets || {};
+  const prepared = [];
+
+  for (const [field, url] of Object.entries(collectAssetUrls(tokenData))) {
+    const current = existing[field];
+    if (!options.refresh && current && (current.source === url || (current.source === 'data-uri' && url.startsWith('data:')))) {
+      continue;
+    }
+    (options.log || console.log)(`Mirroring ${field}...`);
+    prepared.push(await prepareAsset(field, url, options));
+  }
+
+  return prepared;
+}
+
+/**
+ * Return the asset records of a token record updated with prepared assets
+ */
+function applyAssets(tokenData, prepared) {
+  const sources = collectAssetUrls(tokenData);
+  const assets = {};
+
+  for (const [field, record] of Object.entries(tokenData.assets || {})) {
+    if (sources[field]) {
+      assets[field] = record;
+    }
+  }
+  for (const asset of prepared) {
+    assets[asset.field] = asset.record;
+  }
+
+  return Object.keys(assets).length > 0 ? assets : undefined;
+}
+
+/**
+ * Write prepared assets under docs/assets
+ */
+function writeAssets(prepared, docsDir = DOCS_DIR) {
+  for (const asset of prepared) {
+    const assetPath = path.join(docsDir, asset.record.path);
+    if (fs.existsSync(assetPath)) {
+      continue;
+    }
+    fs.mkdirSync(path.dirname(assetPath), { recursive: true });
+    fs.writeFileSync(assetPath, asset.content);
+    console.log(`Asset written to ${assetPath}`);
+  }
+}
+
+/**
+ * Verify that recorded assets exist and match their hash, returning a list of problems
+ */
+function verifyAssets(tokenData, docsDir = DOCS_DIR) {
+  const problems = [];
+  const sources = collectAssetUrls(tokenData);
+
+  for (const [field, record] of Object.entries(tokenData.assets || {})) {
+    if (!sources[field]) {
+      problems.push(`assets.${field} has no matching source field`);
+      continue;
+    }
+    if (record.source !== sources[field] && !(record.source === 'data-uri' && sources[field].startsWith('data:'))) {
+      problems.push(`assets.${field} was mirrored from a different URL`);
+    }
+    if (!record.path || !record.path.startsWith(`${ASSETS_DIR}/${record.sha256}.`)) {
+      problems.push(`assets.${field}.path is not content-addressed`);
+      continue;
+    }
+
+    const assetPath = path.join(docsDir, record.path);
+    if (!fs.existsSync(assetPath)) {
+      problems.push(`assets.${field} file ${record.path} is missing`);
+      continue;
+    }
+    if (tCrypto.sha256(fs.readFileSync(assetPath)).toString('hex') !== record.sha256) {
+      problems.push(`assets.${field} file ${record.path} does not match its sha256`);
+    }
+  }
+
+  return problems;
+}
+
+module.exports = {
+  ASSET_LIMITS,
+  readImageInfo,
+  downloadAsset,
+  validateAsset,
+  prepareAssets,
+  applyAssets,
+  writeAssets,
+  verifyAssets
+};
@@ -0,0 +1,372 @@
+/**
+ * Chain backends used to look up transaction outputs
+ *
+ * A backend is an object with:
+ *   name                                   - human readable backend name
+ *   getOutputScriptPubkey(txid, index)     - resolves to the output scriptPubkey (Buffer)
+ *   getTransactionStatus(txid)             - resolves to { confirmed, blockHeight, blockHash }
+ *                                            (optional; block fields are null when unconfirmed)
+ *   getBlockHeight()                       - resolves to the height of the chain tip
+ *   getColorIssuance(colorId)              - resolves to { txid, blockHeight } of the earliest known
+ *                                            transaction with outputs of the color, or null when
+ *                                            none exists (optional; blockHeight is null when unconfirmed)
+ *   getColorStats(colorId)                 - resolves to { issued, burned, holders }: total issued and
+ *                                            burned amounts (base units, decimal strings) and the
+ *                                            number of holders (null when unknown) (optional)
+ *
+ * Lookups of a transaction or output that does not exist reject with an error whose
+ * notFound property is true. Explorer and RPC lookups reject with an ExplorerError (see explorer-client.js).
+ */
+
+const { RETRYABLE_STATUSES, ExplorerError, sendRequest, fetchJson, malformedResponse } = require('./explorer-client');
+
+const HEX_PATTERN = /^([0-9a-f]{2})*$/i;
+const HASH_PATTERN = /^[0-9a-f]{64}$/i;
+
+// RPC_INVALID_ADDRESS_OR_KEY, returned for unknown transactions and blocks
+const RPC_NOT_FOUND = -5;
+// RPC_IN_WARMUP, returned while the node is starting
+const RPC_IN_WARMUP = -28;
+
+/**
+ * Create the error for a transaction or output that does not exist
+ */
+function notFoundError(message) {
+  const err = new Error(message);
+  err.notFound = true;
+  return err;
+}
+
+/**
+ * Check that a value is a non-negative integer
+ */
+function isHeight(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Return the oldest transaction of a page of Esplora color transactions (listed newest first)
+ * as { txid, blockHeight }, or null for an empty page
+ */
+function earliestTransaction(url, txs) {
+  if (!Array.isArray(txs)) {
+    throw malformedResponse(url, 'expected a list of transactions');
+  }
+  if (txs.length === 0) {
+    return null;
+  }
+
+  const earliest = txs[txs.length - 1];
+  const confirmed = !!(earliest && earliest.status && earliest.status.confirmed);
+  if (!earliest || !HASH_PATTERN.test(earliest.txid) || (confirmed && !isHeight(earliest.status.block_height))) {
+    throw malformedResponse(url, 'txid or block_height of the earliest transaction is missing');
+  }
+  return {
+    txid: earliest.txid,
+    blockHeight: confirmed ? earliest.status.block_height : null
+  };
+}
+
+/**
+ * Call a JSON-RPC method on a Tapyrus Core node
+ *
+ * Calls time out and are retried like explorer requests (httpOptions are those of the explorer
+ * client), and fail with an ExplorerError: not_found for unknown transactions, unavailable when
+ * the node cannot be reached or answers with an error, malformed when the response cannot be read.
+ */
+function callRpc(rpcUrl, credentials, method, params, httpOptions = {}) {
+  const url = new URL(rpcUrl);
+  const user = credentials.user || decodeURIComponent(url.username);
+  const password = credentials.password || decodeURIComponent(url.password);
+  const body = JSON.stringify({ jsonrpc: '1.0', id: 'tapyrus-token-registry', method, params });
+  // Credentials go in the header only, so that they do not show up in error messages
+  url.username = '';
+  url.password = '';
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(body)
+  };
+  if (user || password) {
+    headers.Authorization = 'Basic ' + Buffer.from(`${user}:${password}`).toString('base64');
+  }
+
+  return sendRequest(url.toString(), { method: 'POST', headers, body }, { service: 'RPC node', ...httpOptions }, (statusCode, data) => {
+    if (statusCode === 401 || statusCode === 403) {
+      throw new ExplorerError('unavailable', `RPC authentication failed for ${url.host} (HTTP ${statusCode})`);
+    }
+
+    // Tapyrus Core answers RPC errors with HTTP 404 or 500 and a JSON error object
+    let response;
+    try {
+      response = JSON.parse(data);
+    } catch (e) {
+      if (statusCode < 200 || statusCode >= 300) {
+        throw new ExplorerError('unavailable', `RPC ${method} on ${url.host} returned HTTP ${statusCode}`, RETRYABLE_STATUSES.includes(statusCode));
+      }
+      throw malformedResponse(`RPC ${method} on ${url.host}`, `not JSON (${e.message})`);
+    }
+    if (!response || typeof response !== 'object') {
+      throw malformedResponse(`RPC ${method} on ${url.host}`, 'expected a JSON-RPC response');
+    }
+
+    if (response.error) {
+      const message = `RPC ${method} failed: ${response.error.message} (code ${response.error.code})`;
+      if (response.error.code === RPC_NOT_FOUND) {
+        throw new ExplorerError('not_found', message);
+      }
+      throw new ExplorerError('unavailable', message, response.error.code === RPC_IN_WARMUP);
+    }
+    return response.result;
+  });
+}
+
+/**
+ * Create a backend that reads transactions from an Esplora explorer API
+ *
+ * httpOptions (timeout, retries, retryDelay, maxBytes, log) are passed to the explorer client.
+ */
+function createEsploraBackend({ explorerApi, ...httpOptions }) {
+  const get = url => fetchJson(url, httpOptions);
+  const log = httpOptions.log || console.log;
+
+  return {
+    name: `Esplora (${explorerApi})`,
+
+    async getOutputScriptPubkey(txid, index) {
+      const url = `${explorerApi}/tx/${txid}`;
+      log(`Fetching transaction from: ${url}`);
+
+      const txData = await get(url);
+
+      if (!txData || !Array.isArray(txData.vout)) {
+        throw malformedResponse(url, 'vout is missing');
+      }
+      if (!txData.vout[index]) {
+        throw notFoundError(`Output index ${index} not found in transaction ${txid}`);
+      }
+
+      const output = txData.vout[index];
+      if (typeof output.scriptpubkey !== 'string' || !HEX_PATTERN.test(output.scriptpubkey)) {
+        throw malformedResponse(url, `scriptpubkey of output ${index} is missing or not hex`);
+      }
+
+      return Buffer.from(output.scriptpubkey, 'hex');
+    },
+
+    async getTransactionStatus(txid) {
+      const url = `${explorerApi}/tx/${txid}/status`;
+      const status = await get(url);
+
+      if (!status || typeof status.confirmed !== 'boolean') {
+        throw malformedResponse(url, 'confirmed is missing');
+      }
+      if (status.confirmed && !(isHeight(status.block_height) && HASH_PATTERN.test(status.block_hash))) {
+        throw malformedResponse(url, 'block_height or block_hash of a confirmed transaction is missing');
+      }
+
+      return {
+        confirmed: status.confirmed,
+        blockHeight: status.confirmed ? status.block_height : null,
+        blockHash: status.confirmed ? status.block_hash : null
+      };
+    },
+
+    async getBlockHeight() {
+      const url = `${explorerApi}/blocks/tip/height`;
+      const height = await get(url);
+      if (!isHeight(height)) {
+        throw malformedResponse(url, `${JSON.stringify(height)} is not a block height`);
+      }
+      return height;
+    },
+
+    async getColorIssuance(colorId) {
+      const url = `${explorerApi}/color/${colorId}/txs`;
+      let txs;
+      try {
+        txs = await get(url);
+      } catch (err) {
+        if (err.notFound) {
+          return null;
+        }
+        throw err;
+      }
+      let earliest = earliestTransaction(url, txs);
+      if (!earliest) {
+        return null;
+      }
+
+      // The first page holds the mempool transactions and the newest confirmed ones; older
+      // confirmed transactions are paged after the last one seen, until a page is empty
+      while (earliest.blockHeight !== null) {
+        const pageUrl = `${explorerApi}/color/${colorId}/txs/chain/${earliest.txid}`;
+        const older = earliestTransaction(pageUrl, await get(pageUrl));
+        if (!older) {
+          break;
+        }
+        if (older.txid === earliest.txid) {
+          throw malformedResponse(pageUrl, 'the page repeats the last transaction seen');
+        }
+        earliest = older;
+      }
+      return earliest;
+    },
+
+    async getColorStats(colorId) {
+      const url = `${explorerApi}/color/${colorId}`;
+      let info;
+      try {
+        // Amounts can be larger than a Number holds exactly
+        info = await fetchJson(url, { ...httpOptions, exactIntegers: true });
+      } catch (err) {
+        if (err.notFound) {
+          return { issued: '0', burned: '0', holders: 0 };
+        }
+        throw err;
+      }
+      if (!info || typeof info !== 'object' || !info.chain_stats || typeof info.chain_stats !== 'object') {
+        throw malformedResponse(url, 'chain_stats is missing');
+      }
+
+      const stats = info.chain_stats;
+      const amount = field => {
+        const value = stats[field];
+        if (Number.isSafeInteger(value) && value >= 0) {
+          return String(value);
+        }
+        if (typeof value === 'string' && /^\d+$/.test(value)) {
+          return BigInt(value).toString();
+        }
+        throw malformedResponse(url, `chain_stats.${field} is missing or not a non-negative integer`);
+      };
+      return {
+        issued: amount('issued_sum'),
+        burned: amount('burned_sum'),
+        holders: Number.isInteger(stats.holder_count) ? stats.holder_count : null
+      };
+    }
+  };
+}
+
+/**
+ * Create a backend that reads transactions from a Tapyrus Core node over JSON-RPC
+ *
+ * httpOptions (timeout, retries, retryDelay, maxBytes, log) are passed to the explorer client.
+ */
+function createRpcBackend({ url, user, password, ...httpOptions }) {
+  const credentials = { user, password };
+  const host = new URL(url).host;
+  const log = httpOptions.log || console.log;
+  const call = (method, params) => callRpc(url, credentials, method, params, httpOptions);
+
+  return {
+    name: `Tapyrus Core RPC (${host})`,
+
+    async getOutputScriptPubkey(txid, index) {
+      log(`Fetching transaction ${txid} via getrawtransaction from: ${host}`);
+
+      const txData = await call('getrawtransaction', [txid, true]);
+
+      if (!txData || !Array.isArray(txData.vout)) {
+        throw malformedResponse(`RPC getrawtransaction on ${host}`, 'vout is missing');
+      }
+
+      const output = txData.vout.find(vout => vout.n === index) || txData.vout[index];
+      if (!output) {
+        throw notFoundError(`Output index ${index} not found in transaction ${txid}`);
+      }
+      if (!output.scriptPubKey || typeof output.scriptPubKey.hex !== 'string' || !HEX_PATTERN.test(output.scriptPubKey.hex)) {
+        throw malformedResponse(`RPC getrawtransaction on ${host}`, `scriptPubKey of output ${index} is missing or not hex`);
+      }
+
+      return Buffer.from(output.scriptPubKey.hex, 'hex');
+    },
+
+    async getTransactionStatus(txid) {
+      const txData = await call('getrawtransaction', [txid, true]);
+      if (!txData || typeof txData !== 'object') {
+        throw malformedResponse(`RPC getrawtransaction on ${host}`, 'expected a transaction');
+      }
+      if (!txData.blockhash) {
+        return { confirmed: false, blockHeight: null, blockHash: null };
+      }
+
+      const header = await call('getblockheader', [txData.blockhash]);
+      if (!header || !isHeight(header.height)) {
+        throw malformedResponse(`RPC getblockheader on ${host}`, 'height is missing');
+      }
+      return { confirmed: true, blockHeight: header.height, blockHash: txData.blockhash };
+    },
+
+    async getBlockHeight() {
+      const height = await call('getblockcount', []);
+      if (!isHeight(height)) {
+        throw malformedResponse(`RPC getblockcount on ${host}`, `${JSON.stringify(height)} is not a block height`);
+      }
+      return height;
+    }
+  };
+}
+
+/**
+ * Read explorer client options from the environment (EXPLORER_TIMEOUT_MS, EXPLORER_RETRIES)
+ */
+function explorerOptions(env) {
+  const options = {};
+  for (const [name, key, min] of [['EXPLORER_TIMEOUT_MS', 'timeout', 1], ['EXPLORER_RETRIES', 'retries', 0]]) {
+    if (env[name] === undefined || env[name] === '') {
+      continue;
+    }
+    const value = Number(env[name]);
+    if (!Number.isInteger(value) || value < min) {
+      throw new Error(`${name} must be an integer of at least ${min}`);
+    }
+    options[key] = value;
+  }
+  return options;
+}
+
+/**
+ * Create the chain backend for a network
+ *
+ * The RPC backend is selected when an RPC URL is configured for the network,
+ * either in its definition (rpc.url) or through TAPYRUS_RPC_URL_<networkId>.
+ * Credentials come from TAPYRUS_RPC_USER_<networkId> / TAPYRUS_RPC_PASSWORD_<networkId>
+ * or the userinfo part of the URL. Colors (issuances, stats) are then still looked up on explorerApi, if set.
+ * The explorer and RPC request timeout and retries can be set with EXPLORER_TIMEOUT_MS / EXPLORER_RETRIES.
+ * log reports lookups and retries (default console.log).
+ */
+function createChainBackend(networkInfo, env = process.env, log = console.log) {
+  const rpc = networkInfo.rpc || {};
+  const rpcUrl = env[`TAPYRUS_RPC_URL_${networkInfo.id}`] || rpc.url;
+  const httpOptions = { ...explorerOptions(env), log };
+
+  if (rpcUrl) {
+    const backend = createRpcBackend({
+      url: rpcUrl,
+      user: env[`TAPYRUS_RPC_USER_${networkInfo.id}`] || rpc.user,
+      password: env[`TAPYRUS_RPC_PASSWORD_${networkInfo.id}`] || rpc.password,
+      ...httpOptions
+    });
+    // Tapyrus Core has no index of outputs by color: look colors up on the explorer when there is one
+    if (networkInfo.explorerApi) {
+      const explorer = createEsploraBackend({ explorerApi: networkInfo.explorerApi, ...httpOptions });
+      backend.getColorIssuance = explorer.getColorIssuance;
+      backend.getColorStats = explorer.getColorStats;
+    }
+    return backend;
+  }
+
+  if (!networkInfo.explorerApi) {
+    throw new Error(`No chain backend configured for ${networkInfo.name} (Network ID: ${networkInfo.id})`);
+  }
+
+  return createEsploraBackend({ explorerApi: networkInfo.explorerApi, ...httpOptions });
+}
+
+module.exports = {
+  createChainBackend,
+  createEsploraBackend,
+  createRpcBackend
+};
@@ -0,0 +1,296 @@
+/**
+ * NFT collections
+ *
+ * A collection groups NFT (c3) tokens under a name, description, banner image and issuer.
+ * It is owned by a Payment Base key and stored in docs/collections/{network_id}/{id}.json:
+ *
+ *   {
+ *     "name": "Example Drop",
+ *     "description": "...",
+ *     "banner": "https://example.com/banner.png",
+ *     "issuer": { "name": "...", "url": "https://...", "email": "..." },
+ *     "payment_base": "02...",
+ *     "include_payment_base": true,
+ *     "tokens": ["c3..."],
+ *     "collection_proof": { "updated_at": "...", "issue_number": 12, "signature": "..." }
+ *   }
+ *
+ * Members are the NFTs listed in "tokens" and, with include_payment_base, every NFT registered
+ * with the collection's Payment Base. Listed NFTs must have been registered with the same
+ * Payment Base, so a collection can only group its owner's tokens.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const canonicalize = require('canonicalize');
+const { crypto: tCrypto } = require('tapyrusjs-lib');
+const { isHttpsUrl, isValidEmail } = require('./extensions');
+const { buildSigningMessage } = require('./issuer-signature');
+
+const COLLECTIONS_DIR = 'docs/collections';
+
+// Collection IDs name the collection file and page: lowercase letters, digits and hyphens
+const COLLECTION_ID_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,62}[a-z0-9])?$/;
+
+const NFT_COLOR_ID_PATTERN = /^c3[0-9a-f]{64}$/;
+const PAYMENT_BASE_PATTERN = /^0[23][0-9a-f]{64}$/i;
+
+const MAX_NAME_LENGTH = 64;
+const MAX_DESCRIPTION_LENGTH = 1024;
+const MAX_TOKENS = 1000;
+
+// Fields of the collection definition the owner signs
+const DEFINITION_FIELDS = ['name', 'description', 'banner', 'issuer', 'payment_base', 'include_payment_base', 'tokens'];
+
+/**
+ * Validate a collection definition, returning a list of errors
+ */
+function validateCollectionDefinition(definition) {
+  const errors = [];
+
+  if (definition === null || typeof definition !== 'object' || Array.isArray(definition)) {
+    return ['collection must be a JSON object'];
+  }
+
+  for (const key of Object.keys(definition)) {
+    if (!DEFINITION_FIELDS.includes(key)) {
+      errors.push(`${key} is not a known collection field (allowed: ${DEFINITION_FIELDS.join(', ')})`);
+    }
+  }
+
+  if (typeof definition.name !== 'string' || definition.name.trim() === '') {
+    errors.push('name is required');
+  } else if (definition.name.length > MAX_NAME_LENGTH) {
+    errors.push(`name must be ${MAX_NAME_LENGTH} characters or less`);
+  }
+
+  if (definition.description !== undefined &&
+    (typeof definition.description !== 'string' || definition.description.length > MAX_DESCRIPTION_LENGTH)) {
+    errors.push(`description must be a string of ${MAX_DESCRIPTION_LENGTH} characters or less`);
+  }
+
+  if (definition.banner !== undefined && !isHttpsUrl(definition.banner)) {
+    errors.push('banner must be an HTTPS URL');
+  }
+
+  if (definition.issuer !== undefined) {
+    const issuer = definition.issuer;
+    if (issuer === null || typeof issuer !== 'object' || Array.isArray(issuer)) {
+      errors.push('issuer must be an object with name, url and email');
+    } else {
+      if (issuer.name !== undefined && (typeof issuer.name !== 'string' || issuer.name.length > MAX_NAME_LENGTH)) {
+        errors.push(`issuer.name must be a string of ${MAX_NAME_LENGTH} characters or less`);
+      }
+      if (issuer.url !== undefined && !isHttpsUrl(issuer.url)) {
+        errors.push('issuer.url must be an HTTPS URL');
+      }
+      if (issuer.email !== undefined && !isValidEmail(issuer.email)) {
+        errors.push('issuer.email must be a valid email address');
+      }
+      const unknown = Object.keys(issuer).filter(key => !['name', 'url', 'email'].includes(key));
+      if (unknown.length > 0) {
+        errors.push(`issuer has unknown fields: ${unknown.join(', ')}`);
+      }
+    }
+  }
+
+  if (!PAYMENT_BASE_PATTERN.test(definition.payment_base || '')) {
+    errors.push('payment_base must be a compressed public key (33 bytes, hex)');
+  }
+
+  if (definition.include_payment_base !== undefined && typeof definition.include_payment_base !== 'boolean') {
+    errors.push('include_payment_base must be true or false');
+  }
+
+  if (definition.tokens !== undefined) {
+    if (!Array.isArray(definition.tokens)) {
+      errors.push('tokens must be an array of NFT Color IDs');
+    } else {
+      if (definition.tokens.length > MAX_TOKENS) {
+        errors.push(`tokens must list ${MAX_TOKENS} Color IDs or less`);
+      }
+      definition.tokens.forEach((colorId, i) => {
+        if (!NFT_COLOR_ID_PATTERN.test(colorId)) {
+          errors.push(`tokens[${i}] must be a lowercase NFT Color ID (c3 prefix + 64 hex characters)`);
+        }
+      });
+      if (new Set(definition.tokens).size !== definition.tokens.length) {
+        errors.push('tokens must not list a Color ID more than once');
+      }
+    }
+  }
+
+  if (!definition.include_payment_base && !(Array.isArray(definition.tokens) && definition.tokens.length > 0)) {
+    errors.push('Set include_payment_base or list tokens: a collection needs at least one way to select its NFTs');
+  }
+
+  return errors;
+}
+
+/**
+ * Pick the signed definition fields out of a collection record
+ */
+function collectionDefinition(collection) {
+  const definition = {};
+  for (const field of DEFINITION_FIELDS) {
+    if (collection[field] !== undefined) {
+      definition[field] = collection[field];
+    }
+  }
+  return definition;
+}
+
+/**
+ * Compute the digest of a collection definition (SHA256 of the JCS canonical form)
+ */
+function collectionDigest(collection) {
+  return tCrypto.sha256(Buffer.from(canonicalize(collectionDefinition(collection)), 'utf8')).toString('hex');
+}
+
+/**
+ * Build the issuer signing message for a collection registration
+ */
+function buildCollectionMessage(networkInfo, collectionId, collection, issueNumber) {
+  return buildSigningMessage({
+    action: 'collection',
+    networkId: networkInfo.id,
+    collectionId,
+    collectionDigest: collectionDigest(collection),
+    issueNumber
+  });
+}
+
+/**
+ * Read the collection records of a network, each with its "id"
+ */
+function readNetworkCollections(networkId, collectionsDir = COLLECTIONS_DIR) {
+  const networkDir = path.join(collectionsDir, networkId);
+  if (!fs.existsSync(networkDir)) {
+    return [];
+  }
+
+  const collections = [];
+  for (const file of fs.readdirSync(networkDir).filter(f => f.endsWith('.json')).sort()) {
+    try {
+      collections.push({ id: file.replace('.json', ''), ...JSON.parse(fs.readFileSync(path.join(networkDir, file), 'utf8')) });
+    } catch (err) {
+      console.error(`Error reading collection ${networkId}/${file}:`, err.message);
+    }
+  }
+  return collections;
+}
+
+/**
+ * Compare Payment Base public keys (hex, any case)
+ */
+function samePaymentBase(a, b) {
+  return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Read the Color ID and Payment Base of every token registered on a network
+ *
+ * Files that are not a JSON object are skipped and passed to onSkipped(file, message).
+ */
+function readTokenOwners(networkId, tokensDir, onSkipped = () => {}) {
+  const networkDir = path.join(tokensDir, networkId);
+  if (!fs.existsSync(networkDir)) {
+    return [];
+  }
+
+  const tokens = [];
+  for (const file of fs.readdirSync(networkDir).filter(f => /^c[123][0-9a-f]{64}\.json$/.test(f))) {
+    let tokenData;
+    try {
+      tokenData = JSON.parse(fs.readFileSync(path.join(networkDir, file), 'utf8'));
+    } catch (err) {
+      onSkipped(file, `Invalid JSON: ${err.message}`);
+      continue;
+    }
+    if (!tokenData || typeof tokenData !== 'object' || Array.isArray(tokenData)) {
+      onSkipped(file, 'Token file must be a JSON object');
+      continue;
+    }
+    tokens.push({ color_id: file.replace('.json', ''), payment_base: tokenData.payment_base || null });
+  }
+  return tokens;
+}
+
+/**
+ * Map the NFTs of a network to their collection
+ *
+ * tokens are { color_id, payment_base } records. An NFT listed in a collection's "tokens"
+ * belongs to that collection; otherwise it belongs to the collection that includes its
+ * Payment Base. Listed NFTs of another Payment Base are left out.
+ * Returns a Map from Color ID to collection ID.
+ */
+function assignCollectionMembers(collections, tokens) {
+  const tokensById = new Map(tokens.map(token => [token.color_id, token]));
+  const members = new Map();
+
+  for (const collection of collections) {
+    for (const colorId of collection.tokens || []) {
+      const token = tokensById.get(colorId);
+      if (token && samePaymentBase(token.payment_base, collection.payment_base) && !members.has(colorId)) {
+        members.set(colorId, collection.id);
+      }
+    }
+  }
+
+  for (const collection of collections.filter(c => c.include_payment_base)) {
+    for (const token of tokens) {
+      if (token.color_id.startsWith('c3') && samePaymentBase(token.payment_base, collection.payment_base) && !members.has(token.color_id)) {
+        members.set(token.color_id, collection.id);
+      }
+    }
+  }
+
+  return members;
+}
+
+/**
+ * Check a collection against the registered tokens and the other collections of its network
+ *
+ * Returns a list of problems: listed NFTs must be registered with the collection's Payment Base
+ * and not be listed by another collection, and only one collection per Payment Base may use
+ * include_payment_base.
+ */
+function checkCollectionMembers(collectionId, collection, tokens, otherCollections) {
+  const problems = [];
+  const tokensById = new Map(tokens.map(token => [token.color_id, token]));
+
+  for (const colorId of collection.tokens || []) {
+    const token = tokensById.get(colorId);
+    if (!token) {
+      problems.push(`Token ${colorId} is not registered`);
+    } else if (!samePaymentBase(token.payment_base, collection.payment_base)) {
+      problems.push(`Token ${colorId} was registered with another Payment Base`);
+    }
+    const owner = otherCollections.find(c => c.id !== collectionId && (c.tokens || []).includes(colorId));
+    if (owner) {
+      problems.push(`Token ${colorId} is already listed in collection ${owner.id}`);
+    }
+  }
+
+  if (collection.include_payment_base) {
+    const owner = otherCollections.find(c => c.id !== collectionId && c.include_payment_base && samePaymentBase(c.payment_base, collection.payment_base));
+    if (owner) {
+      problems.push(`Collection ${owner.id} already includes every NFT of this Payment Base`);
+    }
+  }
+
+  return problems;
+}
+
+module.exports = {
+  COLLECTIONS_DIR,
+  COLLECTION_ID_PATTERN,
+  validateCollectionDefinition,
+  collectionDefinition,
+  collectionDigest,
+  buildCollectionMessage,
+  readNetworkCollections,
+  readTokenOwners,
+  assignCollectionMembers,
+  checkCollectionMembers
+};
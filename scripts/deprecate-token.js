@@ -0,0 +1,354 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const {
+  COLOR_ID_PATTERN,
+  ISSUE_NUMBER_PATTERN,
+  parseIssueBody,
+  parseNetwork,
+  parseCliArgs,
+  resolveNetworkOption,
+  createMetadata
+} = require('./register-token');
+const { crypto: tCrypto } = require('tapyrusjs-lib');
+const { NETWORKS, describeNetworks } = require('./networks');
+const { SIGNATURE_PATTERN, buildSigningMessage, signMessage, verifySignature } = require('./issuer-signature');
+
+// Status values a token can be marked with (tokens without a status are active)
+const TOKEN_STATUSES = ['deprecated', 'compromised', 'withdrawn'];
+
+const MAX_REASON_LENGTH = 1024;
+
+/**
+ * Error raised when a deprecation request fails validation
+ */
+class DeprecationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DeprecationError';
+  }
+}
+
+/**
+ * Normalize a status value from the issue form dropdown (e.g. "Compromised")
+ */
+function normalizeStatus(status) {
+  return String(status || '').trim().toLowerCase();
+}
+
+/**
+ * Validate basic input fields of a deprecation request
+ */
+function validateDeprecationFields(data, options = {}) {
+  const errors = [];
+
+  if (!data.network) {
+    errors.push('Network is required');
+  } else if (!parseNetwork(data.network)) {
+    errors.push(`Invalid network selected. Please select ${describeNetworks()}`);
+  }
+
+  if (!data.color_id) {
+    errors.push('Color ID is required');
+  } else if (!COLOR_ID_PATTERN.test(data.color_id)) {
+    errors.push('Invalid Color ID format. Must be c1/c2/c3 prefix + 64 hex characters');
+  }
+
+  if (!data.status) {
+    errors.push('Status is required');
+  } else if (!TOKEN_STATUSES.includes(normalizeStatus(data.status))) {
+    errors.push(`Invalid status. Must be one of: ${TOKEN_STATUSES.join(', ')}`);
+  }
+
+  const reason = String(data.reason || '').trim();
+  if (!reason) {
+    errors.push('Reason is required');
+  } else if (reason.length > MAX_REASON_LENGTH) {
+    errors.push(`Reason must be ${MAX_REASON_LENGTH} characters or less`);
+  }
+
+  if (!data.signature) {
+    if (!options.allowUnsigned) {
+      errors.push('Issuer Signature is required to prove control of the Payment Base');
+    }
+  } else if (!SIGNATURE_PATTERN.test(data.signature)) {
+    errors.push('Invalid Issuer Signature format. Must be a 64 bytes compact signature (128 hex characters)');
+  }
+
+  if (!data.issue_number) {
+    errors.push('Issue number is required to verify the Issuer Signature');
+  } else if (!ISSUE_NUMBER_PATTERN.test(String(data.issue_number))) {
+    errors.push('Issue number must be a positive integer');
+  }
+
+  return errors;
+}
+
+/**
+ * Compute the digest of a status change reason: SHA256 of the trimmed reason (UTF-8), hex
+ */
+function reasonDigest(reason) {
+  return tCrypto.sha256(Buffer.from(String(reason).trim(), 'utf8')).toString('hex');
+}
+
+/**
+ * Build the issuer signing message for a status change
+ */
+function buildDeprecationMessage(networkInfo, colorId, metadata, status, reason, issueNumber) {
+  return buildSigningMessage({
+    action: 'deprecate',
+    networkId: networkInfo.id,
+    colorId,
+    metadataDigest: metadata.digest().toString('hex'),
+    status,
+    reasonDigest: reasonDigest(reason),
+    issueNumber
+  });
+}
+
+/**
+ * Load a registered token for a deprecation request
+ */
+function loadRegisteredToken(networkInfo, colorId) {
+  const tokenPath = path.join('docs', 'tokens', networkInfo.id, `${colorId}.json`);
+
+  if (!fs.existsSync(tokenPath)) {
+    throw new DeprecationError(`Color ID ${colorId} is not registered on ${networkInfo.name} (Network ID: ${networkInfo.id})`);
+  }
+
+  const tokenData = JSON.parse(fs.readFileSync(tokenPath, 'utf8'));
+  let metadata;
+  try {
+    metadata = createMetadata(colorId, tokenData.metadata);
+  } catch (err) {
+    throw new DeprecationError(`Stored metadata is invalid: ${err.message}`);
+  }
+
+  return { tokenPath, tokenData, metadata };
+}
+
+/**
+ * Validate a deprecation request and build the tombstone record without writing anything
+ *
+ * options.allowUnsigned skips the signature requirement (used when signing locally).
+ */
+function validateDeprecation(data, options = {}) {
+  const errors = validateDeprecationFields(data, options);
+  if (errors.length > 0) {
+    throw new DeprecationError(errors.map(e => `- ${e}`).join('\n'));
+  }
+
+  const networkInfo = parseNetwork(data.network);
+  const colorId = data.color_id.toLowerCase();
+  const status = normalizeStatus(data.status);
+  const { tokenPath, tokenData, metadata } = loadRegisteredToken(networkInfo, colorId);
+
+  // A compromised key can sign anything, so a compromised token cannot be moved to a weaker status
+  const current = tokenData.status;
+  if (current && current.state === 'compromised' && status !== 'compromised') {
+    throw new DeprecationError(`Color ID ${colorId} is marked as compromised and cannot be marked as ${status}`);
+  }
+
+  const message = buildDeprecationMessage(networkInfo, colorId, metadata, status, data.reason, data.issue_number);
+
+  if (data.signature) {
+    console.log('Verifying Issuer Signature...');
+    if (!verifySignature(message, data.signature, tokenData.payment_base)) {
+      throw new DeprecationError(`Issuer Signature verification failed.\n\n` +
+        `The signature must be made with the Payment Base private key over SHA256 of the following message:\n\n` +
+        '```\n' + message + '\n```');
+    }
+    console.log('Issuer Signature verified successfully');
+  }
+
+  const record = {
+    state: status,
+    reason: data.reason.trim(),
+    issue_number: parseInt(data.issue_number, 10),
+    signature: data.signature ? data.signature.toLowerCase() : undefined
+  };
+  // A re-run of the same request (e.g. an edited issue) keeps the date of the recorded status
+  const unchanged = !!current && ['state', 'reason', 'issue_number', 'signature'].every(key => current[key] === record[key]);
+
+  const updatedTokenData = {
+    ...tokenData,
+    status: {
+      state: record.state,
+      reason: record.reason,
+      date: unchanged ? current.date : new Date().toISOString(),
+      issue_number: record.issue_number,
+      signature: record.signature
+    }
+  };
+
+  return {
+    colorId,
+    status,
+    networkInfo,
+    message,
+    tokenPath,
+    tokenData: updatedTokenData
+  };
+}
+
+/**
+ * Write the tombstone record for a validated deprecation
+ */
+function writeTombstone(deprecation) {
+  fs.writeFileSync(deprecation.tokenPath, JSON.stringify(deprecation.tokenData, null, 2) + '\n');
+  console.log(`Token status written to ${deprecation.tokenPath}`);
+}
+
+const CLI_USAGE = `Usage: npm run deprecate -- [options]
+
+Options:
+  --network <network>      Network label (${NETWORKS.map(n => n.label).join(', ')}), network ID or issue form label
+  --color-id <colorId>     Token Color ID
+  --status <status>        ${TOKEN_STATUSES.join(', ')}
+  --reason <text>          Reason for the status change
+  --issue-number <number>  Deprecation issue number
+  --signature <hex>        Issuer Signature by the Payment Base key
+  --sign                   Sign the request with PAYMENT_BASE_PRIVATE_KEY (WIF or hex)
+                           and print the Issuer Signature (implies --dry-run)
+  --dry-run                Validate without writing any files
+  --help                   Show this help`;
+
+const CLI_VALUE_OPTIONS = {
+  '--network': 'network',
+  '--color-id': 'colorId',
+  '--status': 'status',
+  '--reason': 'reason',
+  '--issue-number': 'issueNumber',
+  '--signature': 'signature'
+};
+
+/**
+ * Local CLI mode: validate or sign a deprecation request
+ */
+function runCli(argv) {
+  let options;
+  try {
+    options = parseCliArgs(argv, CLI_VALUE_OPTIONS);
+  } catch (err) {
+    console.error(`${err.message}\n\n${CLI_USAGE}`);
+    process.exit(1);
+  }
+
+  if (options.help) {
+    console.log(CLI_USAGE);
+    return;
+  }
+
+  let deprecation;
+  try {
+    deprecation = validateDeprecation({
+      network: options.network && resolveNetworkOption(options.network),
+      color_id: options.colorId,
+      status: options.status,
+      reason: options.reason,
+      issue_number: options.issueNumber,
+      signature: options.signature
+    }, { allowUnsigned: options.sign });
+  } catch (err) {
+    console.error(`\nDeprecation check failed:\n${err.message}`);
+    process.exit(1);
+  }
+
+  if (options.sign) {
+    const privateKey = process.env.PAYMENT_BASE_PRIVATE_KEY;
+    if (!privateKey) {
+      console.error('PAYMENT_BASE_PRIVATE_KEY environment variable is not set');
+      process.exit(1);
+    }
+    const signed = signMessage(deprecation.message, privateKey);
+    if (signed.publicKey !== deprecation.tokenData.payment_base.toLowerCase()) {
+      console.error('PAYMENT_BASE_PRIVATE_KEY does not match the Payment Base');
+      process.exit(1);
+    }
+    console.log('\nAdd this value to the "Issuer Signature" field of the issue:');
+    console.log(signed.signature);
+    return;
+  }
+
+  console.log(`\n${deprecation.colorId} would be marked as ${deprecation.status}`);
+  console.log(JSON.stringify(deprecation.tokenData.status, null, 2));
+
+  if (options.dryRun) {
+    console.log('\nDry run: all checks passed, no files were written.');
+    return;
+  }
+
+  writeTombstone(deprecation);
+}
+
+/**
+ * GitHub Actions mode: validate the issue body and write the tombstone record
+ */
+function runIssue() {
+  const issueBody = process.env.ISSUE_BODY;
+
+  if (!issueBody) {
+    console.error('ISSUE_BODY environment variable is not set');
+    process.exit(1);
+  }
+
+  console.log('Parsing issue body...');
+  const data = parseIssueBody(issueBody);
+  if (process.env.ISSUE_NUMBER) {
+    data.issue_number = process.env.ISSUE_NUMBER;
+  }
+  console.log('Parsed data:', JSON.stringify(data, null, 2));
+
+  let deprecation;
+  try {
+    deprecation = validateDeprecation(data);
+  } catch (err) {
+    if (!(err instanceof DeprecationError)) {
+      throw err;
+    }
+    console.error(err.message);
+    fs.writeFileSync('validation-error.txt', err.message);
+    process.exit(1);
+  }
+
+  writeTombstone(deprecation);
+
+  // Write token info for GitHub Actions
+  fs.writeFileSync('token-network.txt', deprecation.networkInfo.id);
+  fs.writeFileSync('token-network-name.txt', deprecation.networkInfo.name);
+  fs.writeFileSync('token-color-id.txt', deprecation.colorId);
+  fs.writeFileSync('token-status.txt', deprecation.status);
+
+  console.log(`Token marked as ${deprecation.status}`);
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length > 0) {
+    runCli(args);
+    return;
+  }
+
+  try {
+    runIssue();
+  } catch (err) {
+    console.error('Unexpected error:', err);
+    fs.writeFileSync('validation-error.txt', `Unexpected error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  TOKEN_STATUSES,
+  buildDeprecationMessage,
+  validateDeprecation
+};
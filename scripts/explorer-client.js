@@ -0,0 +1,215 @@
+/**
+ * HTTP client for Esplora explorer APIs (also used for Tapyrus Core JSON-RPC calls)
+ *
+ * Requests time out, follow redirects, are retried with exponential backoff when the
+ * explorer is unavailable and have a response size limit. Failures reject with an
+ * ExplorerError whose kind is one of:
+ *
+ *   not_found    - the explorer answered HTTP 404 (e.g. "Transaction not found")
+ *   unavailable  - the explorer could not be reached, timed out or answered with an error status
+ *   malformed    - the response is not JSON, is too large or does not have the expected shape
+ */
+
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_MS = 500;
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+const MAX_REDIRECTS = 3;
+
+// Statuses of an explorer that may answer once it has recovered
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// JSON strings (matched so that they are skipped) and numbers without a fraction or exponent
+const JSON_INTEGER_PATTERN = /"(?:[^"\\]|\\.)*"|(?<![\d.eE+-])-?\d+(?![.\deE])/g;
+
+/**
+ * Error raised when an explorer request fails
+ */
+class ExplorerError extends Error {
+  constructor(kind, message, retryable = false) {
+    super(message);
+    this.name = 'ExplorerError';
+    this.kind = kind;
+    this.retryable = retryable;
+    // Same flag as the other chain backend lookups
+    this.notFound = kind === 'not_found';
+  }
+}
+
+/**
+ * Create the error for a response that does not have the expected shape
+ */
+function malformedResponse(url, problem) {
+  return new ExplorerError('malformed', `Malformed response from ${url}: ${problem}`);
+}
+
+/**
+ * First line of a response body, shortened for error messages
+ */
+function bodySummary(body) {
+  const line = body.trim().split('\n')[0];
+  return line.length > 200 ? `${line.substring(0, 200)}...` : line;
+}
+
+/**
+ * Send a single request, resolving to { statusCode, body } of the final response
+ *
+ * GET requests follow redirects. Connection failures and timeouts reject with a retryable
+ * unavailable error, and responses larger than options.maxBytes with a malformed error.
+ */
+function requestOnce(url, request, options, redirects = 0) {
+  return new Promise((resolve, reject) => {
+    const parsed = new URL(url);
+    const transport = parsed.protocol === 'http:' ? http : https;
+    const method = request.method || 'GET';
+    let settled = false;
+    let req = null;
+
+    const finish = (err, response) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      if (err) {
+        req.destroy();
+        reject(err);
+      } else {
+        resolve(response);
+      }
+    };
+
+    const timer = setTimeout(() => {
+      finish(new ExplorerError('unavailable', `${url} did not respond within ${options.timeout} ms`, true));
+    }, options.timeout);
+
+    req = transport.request(parsed, { method, headers: request.headers || {} }, (res) => {
+      if (method === 'GET' && res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          finish(new ExplorerError('unavailable', `Too many redirects fetching ${url}`));
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        requestOnce(new URL(res.headers.location, parsed).toString(), request, options, redirects + 1).then(resolve, reject);
+        return;
+      }
+
+      const declaredLength = parseInt(res.headers['content-length'], 10);
+      if (declaredLength > options.maxBytes) {
+        finish(malformedResponse(url, `${declaredLength} bytes is larger than the ${options.maxBytes} bytes limit`));
+        return;
+      }
+
+      const chunks = [];
+      let received = 0;
+      res.on('data', chunk => {
+        received += chunk.length;
+        if (received > options.maxBytes) {
+          finish(malformedResponse(url, `larger than the ${options.maxBytes} bytes limit`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on('error', err => {
+        finish(new ExplorerError('unavailable', `Failed to read the response from ${url}: ${err.message}`, true));
+      });
+      res.on('end', () => {
+        finish(null, { statusCode: res.statusCode, body: Buffer.concat(chunks).toString('utf8') });
+      });
+    });
+
+    req.on('error', err => {
+      finish(new ExplorerError('unavailable', `Failed to reach ${parsed.host}: ${err.message}`, true));
+    });
+    req.end(request.body);
+  });
+}
+
+/**
+ * Send a request with the client's timeout, retries and size limit
+ *
+ * request: { method, headers, body }. handleResponse(statusCode, body, url) returns the result
+ * or throws an ExplorerError; errors with the retryable flag are retried with exponential backoff.
+ * options: timeout (ms per attempt), retries (after the first attempt), retryDelay (ms before
+ * the first retry, doubled for each further retry), maxBytes (response size limit),
+ * service (names the server in the error raised once the retries are used up) and log
+ * (reports retries, default console.log).
+ */
+async function sendRequest(url, request, options, handleResponse) {
+  const settings = {
+    timeout: options.timeout || DEFAULT_TIMEOUT_MS,
+    retries: options.retries !== undefined ? options.retries : DEFAULT_RETRIES,
+    retryDelay: options.retryDelay !== undefined ? options.retryDelay : DEFAULT_RETRY_DELAY_MS,
+    maxBytes: options.maxBytes || DEFAULT_MAX_BYTES
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const { statusCode, body } = await requestOnce(url, request, settings);
+      return handleResponse(statusCode, body, url);
+    } catch (err) {
+      if (!err.retryable) {
+        throw err;
+      }
+      if (attempt >= settings.retries) {
+        throw new ExplorerError(err.kind, `${options.service || 'Explorer'} unavailable after ${attempt + 1} attempts: ${err.message}`);
+      }
+      const delay = settings.retryDelay * 2 ** attempt;
+      (options.log || console.log)(`${err.message}; retrying in ${delay} ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Classify the response to an explorer GET request, returning the body of a 2xx answer
+ */
+function explorerResponse(statusCode, body, url) {
+  const summary = bodySummary(body);
+  const status = `HTTP ${statusCode}${summary ? `: ${summary}` : ''}`;
+
+  if (statusCode >= 200 && statusCode < 300) {
+    return body;
+  }
+  if (statusCode === 404) {
+    throw new ExplorerError('not_found', `${url} was not found (${status})`);
+  }
+  throw new ExplorerError('unavailable', `${url} returned ${status}`, RETRYABLE_STATUSES.includes(statusCode));
+}
+
+/**
+ * Quote the integer literals of a JSON text that a Number cannot hold exactly
+ */
+function quoteLargeIntegers(text) {
+  return text.replace(JSON_INTEGER_PATTERN, token =>
+    token.startsWith('"') || Number.isSafeInteger(Number(token)) ? token : `"${token}"`);
+}
+
+/**
+ * Fetch JSON from an explorer URL
+ *
+ * options are those of sendRequest, and exactIntegers: integers above Number.MAX_SAFE_INTEGER
+ * are returned as decimal strings instead of rounded Numbers.
+ */
+async function fetchJson(url, options = {}) {
+  const body = await sendRequest(url, { headers: { Accept: 'application/json' } }, options, explorerResponse);
+
+  try {
+    return JSON.parse(options.exactIntegers ? quoteLargeIntegers(body) : body);
+  } catch (err) {
+    throw malformedResponse(url, `not JSON (${err.message})`);
+  }
+}
+
+module.exports = {
+  RETRYABLE_STATUSES,
+  ExplorerError,
+  malformedResponse,
+  sendRequest,
+  fetchJson
+};
@@ -0,0 +1,198 @@
+/**
+ * Off-chain registry extensions
+ *
+ * The TIP-0020 metadata is fixed by the Color ID. Extensions hold information the issuer
+ * can update later (links, contact, audit reports, updated icon) and are stored in the
+ * token file next to the metadata under "extensions".
+ */
+
+const canonicalize = require('canonicalize');
+const { crypto: tCrypto } = require('tapyrusjs-lib');
+
+const MAX_LABEL_LENGTH = 64;
+const MAX_LINKS = 20;
+const MAX_AUDITS = 20;
+
+// Extensions schema: allowed keys and how each value is validated
+const EXTENSIONS_SCHEMA = {
+  icon: 'https-url',
+  website: 'https-url',
+  links: 'links',
+  social: 'social',
+  contact: 'contact',
+  audits: 'audits'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check whether a value is an HTTPS URL
+ */
+function isHttpsUrl(value) {
+  try {
+    return new URL(value).protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check whether a value is a valid email address
+ */
+function isValidEmail(value) {
+  return typeof value === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+}
+
+/**
+ * Check whether a value is a plain object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check that a label is a non-empty string of limited length
+ */
+function validateLabel(value, field, errors) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    errors.push(`${field} is required`);
+  } else if (value.length > MAX_LABEL_LENGTH) {
+    errors.push(`${field} must be ${MAX_LABEL_LENGTH} characters or less`);
+  }
+}
+
+/**
+ * Reject keys that are not part of an object's schema
+ */
+function validateKeys(value, allowedKeys, field, errors) {
+  for (const key of Object.keys(value)) {
+    if (!allowedKeys.includes(key)) {
+      errors.push(`${field}.${key} is not a known field`);
+    }
+  }
+}
+
+const VALIDATORS = {
+  'https-url': (value, field, errors) => {
+    if (!isHttpsUrl(value)) {
+      errors.push(`${field} must be an HTTPS URL`);
+    }
+  },
+
+  links: (value, field, errors) => {
+    if (!Array.isArray(value)) {
+      errors.push(`${field} must be an array`);
+      return;
+    }
+    if (value.length > MAX_LINKS) {
+      errors.push(`${field} must have ${MAX_LINKS} entries or less`);
+    }
+    value.forEach((link, i) => {
+      if (!isPlainObject(link)) {
+        errors.push(`${field}[${i}] must be an object`);
+        return;
+      }
+      validateKeys(link, ['label', 'url'], `${field}[${i}]`, errors);
+      validateLabel(link.label, `${field}[${i}].label`, errors);
+      if (!isHttpsUrl(link.url)) {
+        errors.push(`${field}[${i}].url must be an HTTPS URL`);
+      }
+    });
+  },
+
+  social: (value, field, errors) => {
+    if (!isPlainObject(value)) {
+      errors.push(`${field} must be an object`);
+      return;
+    }
+    for (const [name, url] of Object.entries(value)) {
+      if (!/^[a-z0-9_]{1,32}$/.test(name)) {
+        errors.push(`${field}.${name} is not a valid service name (lowercase letters, digits and _)`);
+      }
+      if (!isHttpsUrl(url)) {
+        errors.push(`${field}.${name} must be an HTTPS URL`);
+      }
+    }
+  },
+
+  contact: (value, field, errors) => {
+    if (!isPlainObject(value)) {
+      errors.push(`${field} must be an object`);
+      return;
+    }
+    validateKeys(value, ['email', 'url'], field, errors);
+    if (value.email === undefined && value.url === undefined) {
+      errors.push(`${field} must have email or url`);
+    }
+    if (value.email !== undefined && !isValidEmail(value.email)) {
+      errors.push(`${field}.email must be a valid email address`);
+    }
+    if (value.url !== undefined && !isHttpsUrl(value.url)) {
+      errors.push(`${field}.url must be an HTTPS URL`);
+    }
+  },
+
+  audits: (value, field, errors) => {
+    if (!Array.isArray(value)) {
+      errors.push(`${field} must be an array`);
+      return;
+    }
+    if (value.length > MAX_AUDITS) {
+      errors.push(`${field} must have ${MAX_AUDITS} entries or less`);
+    }
+    value.forEach((audit, i) => {
+      if (!isPlainObject(audit)) {
+        errors.push(`${field}[${i}] must be an object`);
+        return;
+      }
+      validateKeys(audit, ['auditor', 'url', 'date'], `${field}[${i}]`, errors);
+      validateLabel(audit.auditor, `${field}[${i}].auditor`, errors);
+      if (!isHttpsUrl(audit.url)) {
+        errors.push(`${field}[${i}].url must be an HTTPS URL`);
+      }
+      if (audit.date !== undefined && (!DATE_PATTERN.test(audit.date) || isNaN(Date.parse(audit.date)))) {
+        errors.push(`${field}[${i}].date must be a date (YYYY-MM-DD)`);
+      }
+    });
+  }
+};
+
+/**
+ * Validate extensions against the schema, returning a list of errors
+ */
+function validateExtensions(extensions) {
+  const errors = [];
+
+  if (!isPlainObject(extensions)) {
+    return ['extensions must be a JSON object'];
+  }
+  if (Object.keys(extensions).length === 0) {
+    return ['extensions must have at least one field'];
+  }
+
+  for (const [key, value] of Object.entries(extensions)) {
+    const type = EXTENSIONS_SCHEMA[key];
+    if (!type) {
+      errors.push(`${key} is not a known extensions field (allowed: ${Object.keys(EXTENSIONS_SCHEMA).join(', ')})`);
+      continue;
+    }
+    VALIDATORS[type](value, key, errors);
+  }
+
+  return errors;
+}
+
+/**
+ * Compute the digest of extensions (SHA256 of the JCS canonical form)
+ */
+function extensionsDigest(extensions) {
+  return tCrypto.sha256(Buffer.from(canonicalize(extensions), 'utf8')).toString('hex');
+}
+
+module.exports = {
+  EXTENSIONS_SCHEMA,
+  isHttpsUrl,
+  isValidEmail,
+  validateExtensions,
+  extensionsDigest
+};
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+/**
+ * Issue form generator
+ *
+ * Writes .github/ISSUE_TEMPLATE/*.yml from the definitions in scripts/issue-forms.js and
+ * networks.json. With --check nothing is written: the script exits with an error when a
+ * committed form differs from the generated one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TEMPLATE_DIR, FORMS, renderIssueForm } = require('./issue-forms');
+
+/**
+ * List the issue forms that are missing or differ from their definitions
+ */
+function findDriftedForms(templateDir = TEMPLATE_DIR) {
+  return FORMS
+    .filter(form => {
+      const formPath = path.join(templateDir, form.file);
+      return !fs.existsSync(formPath) || fs.readFileSync(formPath, 'utf8') !== renderIssueForm(form);
+    })
+    .map(form => path.join(templateDir, form.file));
+}
+
+/**
+ * Write every issue form
+ */
+function writeIssueForms(templateDir = TEMPLATE_DIR) {
+  fs.mkdirSync(templateDir, { recursive: true });
+  for (const form of FORMS) {
+    const formPath = path.join(templateDir, form.file);
+    fs.writeFileSync(formPath, renderIssueForm(form));
+    console.log(`Issue form written to ${formPath}`);
+  }
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  if (process.argv.includes('--check')) {
+    const drifted = findDriftedForms();
+    if (drifted.length > 0) {
+      console.error('Issue forms are out of date with scripts/issue-forms.js and networks.json:');
+      drifted.forEach(file => console.error(`- ${file}`));
+      console.error('\nRun "npm run generate-issue-forms" and commit the result.');
+      process.exit(1);
+    }
+    console.log('Issue forms are up to date');
+    return;
+  }
+
+  writeIssueForms();
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  findDriftedForms,
+  writeIssueForms
+};
@@ -0,0 +1,176 @@
+/**
+ * Impersonation and symbol-collision detection
+ *
+ * A new registration is compared against the tokens already registered on the same network:
+ * an exact symbol match, a case-insensitive name match, or a name/symbol that only differs by
+ * look-alike (confusable) characters is reported. Names and symbols mixing look-alike alphabets
+ * (e.g. Latin and Cyrillic) or containing invisible characters are reported on their own.
+ *
+ * Tokens registered with the same Payment Base are not compared when Issuer Signatures show that
+ * both registrations come from its owner, so an issuer can register several tokens under one name
+ * or symbol (e.g. reissuable and non-reissuable editions). The Payment Base alone is public and
+ * proves nothing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Characters that render like a Latin letter or digit, mapped to that letter (after NFKC)
+const CONFUSABLES = {
+  // Cyrillic
+  'а': 'a', 'в': 'b', 'е': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p', 'с': 'c',
+  'т': 't', 'у': 'y', 'х': 'x', 'ѕ': 's', 'і': 'i', 'ј': 'j', 'ԁ': 'd', 'һ': 'h', 'ԛ': 'q',
+  'ԝ': 'w', 'ү': 'y', 'ɡ': 'g',
+  // Greek
+  'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p',
+  'τ': 't', 'υ': 'u', 'χ': 'x', 'ζ': 'z', 'μ': 'u',
+  // Digits and symbols commonly used as letters
+  '0': 'o', '1': 'l', '|': 'l', '$': 's'
+};
+
+// Alphabets whose letters are easily confused with each other
+const CONFUSABLE_SCRIPTS = ['Latin', 'Cyrillic', 'Greek', 'Armenian', 'Cherokee'];
+
+// Zero-width characters, bidirectional controls and other invisible formatting characters
+const INVISIBLE_PATTERN = /[\u00ad\u180e\u200b-\u200f\u202a-\u202e\u2060-\u2064\u2066-\u2069\ufeff]/;
+
+/**
+ * Normalize a name for case-insensitive comparison
+ */
+function normalizeName(value) {
+  return String(value || '').normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Reduce a string to its confusable skeleton: two strings that look alike share a skeleton
+ */
+function skeleton(value) {
+  const folded = String(value || '')
+    .normalize('NFKC')
+    .replace(new RegExp(INVISIBLE_PATTERN.source, 'g'), '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '');
+
+  return Array.from(folded, ch => CONFUSABLES[ch] || ch)
+    .join('')
+    .replace(/rn/g, 'm')
+    .replace(/vv/g, 'w')
+    .replace(/[\s\-_.]+/g, '');
+}
+
+/**
+ * List the confusable alphabets used by the letters of a string
+ */
+function detectScripts(value) {
+  const scripts = new Set();
+  for (const ch of String(value || '')) {
+    for (const script of CONFUSABLE_SCRIPTS) {
+      if (new RegExp(`\\p{Script=${script}}`, 'u').test(ch)) {
+        scripts.add(script);
+      }
+    }
+  }
+  return Array.from(scripts);
+}
+
+/**
+ * Check a single name or symbol for mixed alphabets and invisible characters
+ */
+function checkCharacters(field, value, warnings) {
+  const scripts = detectScripts(value);
+  if (scripts.length > 1) {
+    warnings.push(`${field} "${value}" mixes ${scripts.join(' and ')} characters`);
+  }
+  if (INVISIBLE_PATTERN.test(String(value || ''))) {
+    warnings.push(`${field} "${value}" contains invisible characters`);
+  }
+}
+
+/**
+ * Compare new token metadata against registered tokens, returning a list of warnings
+ *
+ * registeredTokens is a list of { color_id, payment_base, metadata, issuer_verified }. Tokens of
+ * the same Payment Base are skipped only when issuerVerified (the new registration carries a
+ * verified Issuer Signature) and their own issuer_verified are both set.
+ */
+function findImpersonationRisks(metadata, paymentBase, registeredTokens, issuerVerified = false) {
+  const warnings = [];
+  const name = metadata.name || '';
+  const symbol = metadata.symbol || '';
+
+  checkCharacters('Name', name, warnings);
+  checkCharacters('Symbol', symbol, warnings);
+
+  const issuer = String(paymentBase || '').toLowerCase();
+  for (const token of registeredTokens) {
+    if (issuerVerified && token.issuer_verified && String(token.payment_base || '').toLowerCase() === issuer) {
+      continue;
+    }
+
+    const existing = token.metadata || {};
+    const target = `${existing.name} (${existing.symbol}, ${token.color_id})`;
+
+    if (symbol && symbol === existing.symbol) {
+      warnings.push(`Symbol "${symbol}" is already used by ${target}`);
+    } else if (symbol && skeleton(symbol) === skeleton(existing.symbol)) {
+      warnings.push(`Symbol "${symbol}" looks like the symbol of ${target}`);
+    }
+
+    if (name && normalizeName(name) === normalizeName(existing.name)) {
+      warnings.push(`Name "${name}" is already used by ${target}`);
+    } else if (name && skeleton(name) === skeleton(existing.name)) {
+      warnings.push(`Name "${name}" looks like the name of ${target}`);
+    }
+  }
+
+  return warnings;
+}
+
+/**
+ * Read the tokens registered in a network directory
+ *
+ * The recorded issuer_signature is returned as it is: the caller verifies it.
+ *
+ * Files that are not a JSON object are skipped and passed to onSkipped(file, message), so that
+ * one broken file (reported by verify-registry.js) does not stop every later registration.
+ */
+function readRegisteredTokens(networkDir, onSkipped = () => {}) {
+  if (!fs.existsSync(networkDir)) {
+    return [];
+  }
+
+  const tokens = [];
+  for (const file of fs.readdirSync(networkDir)) {
+    if (!file.endsWith('.json') || file === 'index.json' || file === 'stats.json') {
+      continue;
+    }
+
+    let tokenData;
+    try {
+      tokenData = JSON.parse(fs.readFileSync(path.join(networkDir, file), 'utf8'));
+    } catch (err) {
+      onSkipped(file, `Invalid JSON: ${err.message}`);
+      continue;
+    }
+    if (!tokenData || typeof tokenData !== 'object' || Array.isArray(tokenData)) {
+      onSkipped(file, 'Token file must be a JSON object');
+      continue;
+    }
+
+    tokens.push({
+      color_id: file.replace(/\.json$/, ''),
+      payment_base: tokenData.payment_base,
+      metadata: tokenData.metadata || tokenData,
+      issuer_signature: tokenData.issuer_signature
+    });
+  }
+  return tokens;
+}
+
+module.exports = {
+  skeleton,
+  detectScripts,
+  findImpersonationRisks,
+  readRegisteredTokens
+};
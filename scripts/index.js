@@ -0,0 +1,206 @@
+/**
+ * Tapyrus Token Registry library API
+ *
+ *   const registry = require('tapyrus-token-registry');
+ *   const data = registry.parseIssue(issueBody);
+ *   const result = await registry.checkRegistration(data);
+ *
+ * Runs the same validation as the registration workflow in-process. The check functions
+ * return { valid, errors, ... } results instead of throwing or exiting; register-token.js
+ * (CLI and GitHub Actions modes) is a wrapper around the same functions. Networks can be
+ * given as a label from networks.json, a network ID or the issue form label.
+ */
+
+const path = require('path');
+const { NETWORKS, findNetwork } = require('./networks');
+const { createChainBackend } = require('./chain-backend');
+const { SIGNATURE_PATTERN, buildSigningMessage, signMessage, verifySignature } = require('./issuer-signature');
+const { validateExtensions, extensionsDigest } = require('./extensions');
+const { TOKEN_RECORD_SCHEMA, validateTokenRecord, validateTokenMetadata } = require('./token-schema');
+const { TokenRegistryClient, TokenRegistryError } = require('./registry-client');
+const { VALIDATION_STAGES, VALIDATION_CODES, exitCodeFor } = require('./validation-problems');
+const {
+  COLOR_ID_PATTERN,
+  PAYMENT_BASE_PATTERN,
+  TXID_PATTERN,
+  COLOR_ID_PREFIX_TO_TYPE,
+  parseIssueBody,
+  parseNetwork,
+  parseMetadataJson,
+  resolveNetworkOption,
+  createMetadata,
+  checkInputFields,
+  verifyReissuableColorId,
+  verifyOutPointColorId,
+  verifyOutPointScriptPubkey,
+  buildRegistrationMessage,
+  RegistrationError,
+  validateRegistration
+} = require('./register-token');
+
+// Registered tokens of this package, whatever the working directory
+const TOKENS_DIR = path.join(__dirname, '..', 'docs', 'tokens');
+
+/**
+ * Parse a registration issue body into its fields (network, color_id, payment_base, ...)
+ */
+function parseIssue(body) {
+  return parseIssueBody(body);
+}
+
+/**
+ * Accept a network label (e.g. "testnet") or network ID in place of the issue form label
+ */
+function normalizeInput(data) {
+  return data.network ? { ...data, network: resolveNetworkOption(String(data.network)) } : data;
+}
+
+/**
+ * Check the format of registration input fields
+ *
+ * Returns { valid, errors, problems }.
+ */
+function validateInput(data) {
+  const problems = checkInputFields(normalizeInput(data));
+  return { valid: problems.length === 0, errors: problems.map(p => p.message), problems };
+}
+
+/**
+ * Normalize metadata given as a JSON string, an issue form code block or an object
+ */
+function toMetadataFields(metadata) {
+  return typeof metadata === 'string' ? parseMetadataJson(metadata) : metadata;
+}
+
+/**
+ * Check that a Color ID is derived from the metadata and Payment Base (c1) or OutPoint (c2/c3)
+ *
+ * Returns { valid, errors, tokenType, expected, derived }.
+ */
+function verifyColorId({ colorId, metadata, paymentBase, outpoint }) {
+  const errors = [];
+  if (!COLOR_ID_PATTERN.test(colorId || '')) {
+    return { valid: false, errors: ['Invalid Color ID format. Must be c1/c2/c3 prefix + 64 hex characters'] };
+  }
+
+  const prefix = colorId.substring(0, 2).toLowerCase();
+  const tokenType = COLOR_ID_PREFIX_TO_TYPE[prefix];
+
+  let verification;
+  try {
+    const tokenMetadata = createMetadata(colorId, toMetadataFields(metadata));
+    if (prefix === 'c1') {
+      if (!PAYMENT_BASE_PATTERN.test(paymentBase || '')) {
+        errors.push('Payment Base is required for Reissuable tokens');
+      } else {
+        verification = verifyReissuableColorId(tokenMetadata, paymentBase, colorId);
+      }
+    } else if (!outpoint || !TXID_PATTERN.test(outpoint.txid || '') || !Number.isInteger(outpoint.index) || outpoint.index < 0) {
+      errors.push('OutPoint ({ txid, index }) is required for Non-Reissuable and NFT tokens');
+    } else {
+      verification = verifyOutPointColorId(tokenMetadata, outpoint.txid, outpoint.index, colorId);
+    }
+  } catch (err) {
+    errors.push(`Metadata validation error: ${err.message}`);
+  }
+
+  if (verification && !verification.match) {
+    errors.push(`Color ID does not match: derived ${verification.derived}`);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    tokenType,
+    expected: colorId.toLowerCase(),
+    derived: verification ? verification.derived : null
+  };
+}
+
+/**
+ * Check on chain that a c2/c3 token's OutPoint pays to the P2C address of the Payment Base and metadata
+ *
+ * options.backend replaces the network's chain backend (Esplora or Tapyrus Core RPC).
+ * Returns { valid, errors, expected, actual, p2cPubkey }.
+ */
+async function verifyOutPoint({ network, colorId, metadata, paymentBase, outpoint }, options = {}) {
+  const networkInfo = typeof network === 'object' ? network : parseNetwork(resolveNetworkOption(String(network || '')));
+  if (!networkInfo) {
+    return { valid: false, errors: [`Unknown network: ${network}`] };
+  }
+
+  let verification;
+  try {
+    const backend = options.backend || createChainBackend(networkInfo, process.env, () => {});
+    const tokenMetadata = createMetadata(colorId, toMetadataFields(metadata));
+    verification = await verifyOutPointScriptPubkey(tokenMetadata, paymentBase, backend, outpoint.txid, outpoint.index);
+  } catch (err) {
+    return { valid: false, errors: [`Failed to verify OutPoint scriptPubkey: ${err.message}`] };
+  }
+
+  return {
+    valid: verification.match,
+    errors: verification.match ? [] : ['OutPoint scriptPubkey does not match the P2C address derived from Payment Base and Metadata'],
+    expected: verification.expected,
+    actual: verification.actual,
+    p2cPubkey: verification.p2cPubkey
+  };
+}
+
+/**
+ * Run every registration check on parsed issue data without writing anything
+ *
+ * options are those of validateRegistration; progress logging is off unless options.log is given,
+ * and registered tokens are read from the package's docs/tokens unless options.tokensDir is given.
+ * Returns { valid, errors, problems, exitCode, warnings, notices, registration }: problems are the
+ * structured validation problems (stage, field, code, message, hint) and errors their messages.
+ * notices name checks the network's chain backend could not run.
+ */
+async function checkRegistration(data, options = {}) {
+  try {
+    const registration = await validateRegistration(normalizeInput(data), { log: () => {}, tokensDir: TOKENS_DIR, ...options });
+    return { valid: true, errors: [], problems: [], exitCode: 0, warnings: registration.warnings, notices: registration.notices, registration };
+  } catch (err) {
+    if (!(err instanceof RegistrationError)) {
+      throw err;
+    }
+    return {
+      valid: false,
+      errors: err.problems.map(p => p.message),
+      problems: err.problems,
+      exitCode: exitCodeFor(err.problems),
+      warnings: [],
+      notices: [],
+      registration: null
+    };
+  }
+}
+
+module.exports = {
+  NETWORKS,
+  findNetwork,
+  parseNetwork,
+  parseIssue,
+  parseMetadataJson,
+  validateInput,
+  verifyColorId,
+  verifyOutPoint,
+  checkRegistration,
+  validateRegistration,
+  RegistrationError,
+  VALIDATION_STAGES,
+  VALIDATION_CODES,
+  createMetadata,
+  buildRegistrationMessage,
+  SIGNATURE_PATTERN,
+  buildSigningMessage,
+  signMessage,
+  verifySignature,
+  validateExtensions,
+  extensionsDigest,
+  TOKEN_RECORD_SCHEMA,
+  validateTokenRecord,
+  validateTokenMetadata,
+  TokenRegistryClient,
+  TokenRegistryError
+};
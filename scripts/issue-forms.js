@@ -0,0 +1,449 @@
+/**
+ * Issue form definitions
+ *
+ * The issue forms in .github/ISSUE_TEMPLATE are generated from these definitions
+ * (npm run generate-issue-forms), and parseIssueBody maps the "### <label>" headers of
+ * submitted issues back to field IDs with the same definitions, so a label can only be
+ * renamed in one place.
+ */
+
+const { NETWORKS, networkFormLabel } = require('./networks');
+
+const TEMPLATE_DIR = '.github/ISSUE_TEMPLATE';
+
+const NETWORK_FIELD = {
+  type: 'dropdown',
+  id: 'network',
+  label: 'Network',
+  // Network dropdown options are the issue form labels of networks.json
+  options: () => NETWORKS.map(networkFormLabel),
+  // Preselect the first non-production network so test registrations are the default
+  default: () => Math.max(0, NETWORKS.findIndex(network => !network.production)),
+  required: true
+};
+
+const FORMS = [
+  {
+    file: 'register-token.yml',
+    name: 'Token Registration',
+    description: 'Register metadata for Tapyrus colored coins',
+    title: '[Token Registration] ',
+    labels: ['token-registration'],
+    intro: '## Tapyrus Token Registry Registration Form\n' +
+      'Register token metadata compliant with TIP-0020 specification.\n\n' +
+      'This registry is for tokens that have already been issued: the issuance transaction must be confirmed on the selected network before the request is accepted. The metadata JSON should match exactly what was used to derive the Color ID.\n',
+    fields: [
+      {
+        ...NETWORK_FIELD,
+        description: 'Select the network where the token is issued (TIP-0044 compliant)'
+      },
+      {
+        type: 'input',
+        id: 'color_id',
+        label: 'Color ID',
+        description: 'Token Color ID (c1/c2/c3 prefix + 64 hex characters)',
+        placeholder: 'c1a1b2c3d4e5f6...',
+        required: true
+      },
+      {
+        type: 'input',
+        id: 'payment_base',
+        label: 'Payment Base',
+        description: 'Payment Base public key used to derive the P2C address (33 bytes compressed, hex)',
+        placeholder: '02a1b2c3d4e5f6...',
+        required: true
+      },
+      {
+        type: 'input',
+        id: 'outpoint_txid',
+        label: 'OutPoint Txid (for Non-Reissuable/NFT only)',
+        description: 'Transaction ID of the token issuance output (64 hex characters). Required for Non-Reissuable and NFT tokens.',
+        placeholder: 'a1b2c3d4e5f6...',
+        required: false
+      },
+      {
+        type: 'input',
+        id: 'outpoint_index',
+        label: 'OutPoint Index (for Non-Reissuable/NFT only)',
+        description: 'Output index of the token issuance output. Required for Non-Reissuable and NFT tokens.',
+        placeholder: '0',
+        required: false
+      },
+      {
+        type: 'textarea',
+        id: 'metadata',
+        label: 'Token Metadata (JSON)',
+        description: 'TIP-0020 compliant token metadata in JSON format',
+        placeholder: '{\n' +
+          '  "name": "Example Token",\n' +
+          '  "symbol": "EXT",\n' +
+          '  "decimals": 8,\n' +
+          '  "description": "An example token",\n' +
+          '  "icon": "https://example.com/icon.png",\n' +
+          '  "website": "https://example.com"\n' +
+          '}\n',
+        render: 'json',
+        required: true
+      },
+      {
+        type: 'input',
+        id: 'signature',
+        label: 'Issuer Signature (optional)',
+        description: 'Proof of issuer control: signature by the Payment Base private key over the registration message, including this issue\'s number (64 bytes compact, hex). You can add it by editing the issue after it has been opened. See the README for how to create it.',
+        placeholder: 'a1b2c3d4e5f6...',
+        required: false
+      },
+      {
+        type: 'checkboxes',
+        id: 'confirmation',
+        label: 'Confirmation',
+        description: 'Please confirm the following',
+        options: [
+          'I am the issuer of this token or have permission from the issuer to register',
+          'The provided metadata matches what was used to derive the Color ID',
+          'The information provided is accurate and does not contain false information'
+        ]
+      }
+    ]
+  },
+  {
+    file: 'register-batch.yml',
+    name: 'Batch Token Registration',
+    description: 'Register metadata for several Tapyrus colored coins in one request',
+    title: '[Batch Registration] ',
+    labels: ['token-batch-registration'],
+    intro: '## Tapyrus Token Registry Batch Registration Form\n' +
+      'Register up to 100 already issued tokens at once. Each entry is checked like a single registration and the result is reported per entry.\n\n' +
+      'Issuer signatures are made over this issue\'s number, the same as for single registrations.\n',
+    fields: [
+      {
+        type: 'textarea',
+        id: 'entries',
+        label: 'Token Entries (JSON)',
+        description: 'JSON array of token entries. network is a network label or ID; outpoint is required for Non-Reissuable and NFT tokens; signature is optional.',
+        placeholder: '[\n' +
+          '  {\n' +
+          '    "network": "testnet",\n' +
+          '    "color_id": "c1a1b2c3d4e5f6...",\n' +
+          '    "payment_base": "02a1b2c3d4e5f6...",\n' +
+          '    "metadata": { "name": "Example Token", "symbol": "EXT", "decimals": 8 }\n' +
+          '  },\n' +
+          '  {\n' +
+          '    "network": "testnet",\n' +
+          '    "color_id": "c2a1b2c3d4e5f6...",\n' +
+          '    "payment_base": "02a1b2c3d4e5f6...",\n' +
+          '    "outpoint": { "txid": "a1b2c3d4e5f6...", "index": 0 },\n' +
+          '    "metadata": { "name": "Example Coupon", "symbol": "EXC", "decimals": 0 }\n' +
+          '  }\n' +
+          ']\n',
+        render: 'json',
+        required: true
+      },
+      {
+        type: 'dropdown',
+        id: 'batch_mode',
+        label: 'Batch Mode',
+        description: 'Whether to register the valid entries when other entries fail',
+        // Loaded on use: register-batch.js itself depends on the issue form parser
+        options: () => Object.values(require('./register-batch').BATCH_MODE_LABELS),
+        required: true
+      },
+      {
+        type: 'checkboxes',
+        id: 'confirmation',
+        label: 'Confirmation',
+        description: 'Please confirm the following',
+        options: [
+          'I am the issuer of these tokens or have permission from the issuer to register them',
+          'The provided metadata matches what was used to derive each Color ID',
+          'The information provided is accurate and does not contain false information'
+        ]
+      }
+    ]
+  },
+  {
+    file: 'update-token-info.yml',
+    name: 'Update Token Info',
+    description: 'Update the off-chain extensions (links, contact, audit reports, icon) of a registered token',
+    title: '[Token Update] ',
+    labels: ['token-update'],
+    intro: '## Tapyrus Token Registry Update Form\n' +
+      'The TIP-0020 metadata is fixed by the Color ID and cannot be changed. Use this form to replace the token\'s off-chain `extensions`, which are shown in place of the metadata values on the index page.\n\n' +
+      'The request must be signed with the Payment Base private key of the token.\n',
+    fields: [
+      {
+        ...NETWORK_FIELD,
+        description: 'Select the network where the token is registered (TIP-0044 compliant)'
+      },
+      {
+        type: 'input',
+        id: 'color_id',
+        label: 'Color ID',
+        description: 'Color ID of the registered token',
+        placeholder: 'c1a1b2c3d4e5f6...',
+        required: true
+      },
+      {
+        type: 'textarea',
+        id: 'extensions',
+        label: 'Extensions (JSON)',
+        description: 'The complete extensions object. It replaces any existing extensions. Allowed fields: icon, website, links, social, contact, audits. All URLs must be HTTPS.',
+        placeholder: '{\n' +
+          '  "icon": "https://example.com/new-icon.png",\n' +
+          '  "website": "https://example.com",\n' +
+          '  "links": [{ "label": "Whitepaper", "url": "https://example.com/whitepaper.pdf" }],\n' +
+          '  "social": { "x": "https://x.com/example" },\n' +
+          '  "contact": { "email": "support@example.com" },\n' +
+          '  "audits": [{ "auditor": "Example Audit", "url": "https://example.com/audit.pdf", "date": "2026-01-31" }]\n' +
+          '}\n',
+        render: 'json',
+        required: true
+      },
+      {
+        type: 'input',
+        id: 'signature',
+        label: 'Issuer Signature',
+        description: 'Signature by the Payment Base private key over the update message, including this issue\'s number (64 bytes compact, hex). You can add it by editing the issue after it has been opened. See the README for how to create it.',
+        placeholder: 'a1b2c3d4e5f6...',
+        required: false
+      },
+      {
+        type: 'checkboxes',
+        id: 'confirmation',
+        label: 'Confirmation',
+        description: 'Please confirm the following',
+        options: [
+          'I am the issuer of this token and control its Payment Base key',
+          'The information provided is accurate and does not contain false information'
+        ]
+      }
+    ]
+  },
+  {
+    file: 'deprecate-token.yml',
+    name: 'Token Deprecation',
+    description: 'Mark a registered token as deprecated, compromised or withdrawn',
+    title: '[Token Deprecation] ',
+    labels: ['token-deprecation'],
+    intro: '## Tapyrus Token Registry Deprecation Form\n' +
+      'Mark a registered token as deprecated, compromised or withdrawn.\n\n' +
+      'The token file is kept as a tombstone record with the status, reason and date, so wallets can warn users instead of losing the metadata. The request must be signed with the Payment Base private key of the token.\n',
+    fields: [
+      {
+        ...NETWORK_FIELD,
+        description: 'Select the network where the token is registered (TIP-0044 compliant)'
+      },
+      {
+        type: 'input',
+        id: 'color_id',
+        label: 'Color ID',
+        description: 'Color ID of the registered token',
+        placeholder: 'c1a1b2c3d4e5f6...',
+        required: true
+      },
+      {
+        type: 'dropdown',
+        id: 'status',
+        label: 'Status',
+        description: 'deprecated: superseded or no longer maintained. compromised: the issuer key or token can no longer be trusted. withdrawn: the issuer no longer supports the token.',
+        // Loaded on use: deprecate-token.js itself depends on the issue form parser
+        options: () => require('./deprecate-token').TOKEN_STATUSES,
+        required: true
+      },
+      {
+        type: 'textarea',
+        id: 'reason',
+        label: 'Reason',
+        description: 'Reason for the status change, shown to wallet users (up to 1024 characters)',
+        required: true
+      },
+      {
+        type: 'input',
+        id: 'signature',
+        label: 'Issuer Signature',
+        description: 'Signature by the Payment Base private key over the deprecation message, including this issue\'s number (64 bytes compact, hex). You can add it by editing the issue after it has been opened. See the README for how to create it.',
+        placeholder: 'a1b2c3d4e5f6...',
+        required: false
+      },
+      {
+        type: 'checkboxes',
+        id: 'confirmation',
+        label: 'Confirmation',
+        description: 'Please confirm the following',
+        options: [
+          'I am the issuer of this token and control its Payment Base key',
+          'I understand that the status change is public and recorded permanently in the registry'
+        ]
+      }
+    ]
+  },
+  {
+    file: 'register-collection.yml',
+    name: 'NFT Collection',
+    description: 'Group registered NFT tokens into a collection with a name, description and banner',
+    title: '[NFT Collection] ',
+    labels: ['collection-registration'],
+    intro: '## Tapyrus Token Registry NFT Collection Form\n' +
+      'Create or replace an NFT collection. Registered NFTs (c3 tokens) are shown together on the collection page instead of as separate rows.\n\n' +
+      'The collection is owned by a Payment Base key: the request must be signed with it, and only NFTs registered with the same Payment Base can join the collection.\n',
+    fields: [
+      {
+        ...NETWORK_FIELD,
+        description: 'Select the network where the NFTs are registered (TIP-0044 compliant)'
+      },
+      {
+        type: 'input',
+        id: 'collection_id',
+        label: 'Collection ID',
+        description: 'Identifier used in the collection URL: lowercase letters, digits and hyphens. Submitting an existing ID replaces that collection.',
+        placeholder: 'example-drop',
+        required: true
+      },
+      {
+        type: 'textarea',
+        id: 'collection',
+        label: 'Collection (JSON)',
+        description: 'Collection definition. name and payment_base are required. Set include_payment_base to add every NFT registered with the Payment Base, and/or list Color IDs in tokens. banner and issuer.url must be HTTPS URLs.',
+        placeholder: '{\n' +
+          '  "name": "Example Drop",\n' +
+          '  "description": "The first Example NFT drop",\n' +
+          '  "banner": "https://example.com/banner.png",\n' +
+          '  "issuer": { "name": "Example Inc.", "url": "https://example.com" },\n' +
+          '  "payment_base": "02a1b2c3d4e5f6...",\n' +
+          '  "include_payment_base": false,\n' +
+          '  "tokens": ["c3a1b2c3d4e5f6...", "c3b1c2d3e4f5a6..."]\n' +
+          '}\n',
+        render: 'json',
+        required: true
+      },
+      {
+        type: 'input',
+        id: 'signature',
+        label: 'Issuer Signature',
+        description: 'Signature by the Payment Base private key over the collection message, including this issue\'s number (64 bytes compact, hex). You can add it by editing the issue after it has been opened. See the README for how to create it.',
+        placeholder: 'a1b2c3d4e5f6...',
+        required: false
+      },
+      {
+        type: 'checkboxes',
+        id: 'confirmation',
+        label: 'Confirmation',
+        description: 'Please confirm the following',
+        options: [
+          'I am the issuer of these NFTs and control their Payment Base key',
+          'The information provided is accurate and does not contain false information'
+        ]
+      }
+    ]
+  }
+];
+
+/**
+ * Build the map from issue form labels to field IDs across all forms
+ */
+function buildFieldLabelMap(forms = FORMS) {
+  const labels = {};
+  for (const form of forms) {
+    for (const field of form.fields) {
+      labels[field.label] = field.id;
+    }
+  }
+  return labels;
+}
+
+/**
+ * Quote a YAML scalar (JSON strings are valid YAML double-quoted scalars)
+ */
+function yamlString(value) {
+  return JSON.stringify(String(value));
+}
+
+/**
+ * Render a YAML literal block scalar at the given indentation
+ */
+function yamlBlock(value, indent) {
+  const lines = value.replace(/\n$/, '').split('\n');
+  return '|\n' + lines.map(line => (line ? `${indent}${line}` : '')).join('\n');
+}
+
+/**
+ * Resolve a definition value that may be computed from the configuration
+ */
+function resolve(value) {
+  return typeof value === 'function' ? value() : value;
+}
+
+/**
+ * Render a form field as issue form YAML
+ */
+function renderField(field) {
+  const lines = [
+    `  - type: ${field.type}`,
+    `    id: ${field.id}`,
+    '    attributes:',
+    `      label: ${yamlString(field.label)}`
+  ];
+
+  if (field.description) {
+    lines.push(`      description: ${yamlString(field.description)}`);
+  }
+
+  if (field.type === 'checkboxes') {
+    lines.push('      options:');
+    for (const option of resolve(field.options)) {
+      lines.push(`        - label: ${yamlString(option)}`);
+      lines.push('          required: true');
+    }
+    return lines.join('\n');
+  }
+
+  if (field.type === 'dropdown') {
+    if (field.default !== undefined) {
+      lines.push(`      default: ${resolve(field.default)}`);
+    }
+    lines.push('      options:');
+    for (const option of resolve(field.options)) {
+      lines.push(`        - ${yamlString(option)}`);
+    }
+  }
+  if (field.placeholder !== undefined) {
+    lines.push(`      placeholder: ${field.placeholder.includes('\n') ? yamlBlock(field.placeholder, '        ') : yamlString(field.placeholder)}`);
+  }
+  if (field.render) {
+    lines.push(`      render: ${field.render}`);
+  }
+
+  lines.push('    validations:');
+  lines.push(`      required: ${field.required ? 'true' : 'false'}`);
+  return lines.join('\n');
+}
+
+/**
+ * Render an issue form definition as YAML
+ */
+function renderIssueForm(form) {
+  const sections = [
+    [
+      '# Generated by scripts/generate-issue-forms.js from scripts/issue-forms.js and networks.json.',
+      '# Do not edit this file: change the definitions and run "npm run generate-issue-forms".',
+      `name: ${yamlString(form.name)}`,
+      `description: ${yamlString(form.description)}`,
+      `title: ${yamlString(form.title)}`,
+      `labels: [${form.labels.map(yamlString).join(', ')}]`,
+      'body:',
+      '  - type: markdown',
+      '    attributes:',
+      `      value: ${yamlBlock(form.intro, '        ')}`
+    ].join('\n'),
+    ...form.fields.map(renderField)
+  ];
+
+  return sections.join('\n\n') + '\n';
+}
+
+module.exports = {
+  TEMPLATE_DIR,
+  FORMS,
+  buildFieldLabelMap,
+  renderIssueForm
+};
@@ -0,0 +1,109 @@
+/**
+ * Proof of issuer control: signatures by the Payment Base key
+ *
+ * The issuer signs SHA256(message) with the Payment Base private key, where message is:
+ *
+ *   Tapyrus Token Registry
+ *   Action: register
+ *   Network ID: <network id>
+ *   Color ID: <color id, lowercase>
+ *   Metadata Digest: <TIP-0020 metadata digest, hex>
+ *   Issue: <issue number>
+ *
+ * Actions that change a token's status (deprecate) add "Status: <status>" and "Reason Digest:
+ * <SHA256 of the reason, hex>" lines after the digest, and extension updates (update) add an "Extensions Digest: <digest>" line. NFT collection
+ * registrations (collection) name a collection instead of a token: "Collection: <id>" and
+ * "Collection Digest: <digest>" take the place of the Color ID and Metadata Digest lines.
+ *
+ * The signature is the 64-byte compact ECDSA signature (r || s) in hex.
+ */
+
+const { ECPair, crypto: tCrypto, networks } = require('tapyrusjs-lib');
+
+// Signature validation pattern: 64 bytes compact signature (128 hex chars)
+const SIGNATURE_PATTERN = /^[0-9a-f]{128}$/i;
+
+const MESSAGE_HEADER = 'Tapyrus Token Registry';
+
+/**
+ * Build the message the issuer signs for an action on a token
+ */
+function buildSigningMessage({
+  action = 'register', networkId, colorId, metadataDigest, collectionId, collectionDigest, status, reasonDigest, extensionsDigest,
+  issueNumber
+}) {
+  const lines = [
+    MESSAGE_HEADER,
+    `Action: ${action}`,
+    `Network ID: ${networkId}`
+  ];
+  if (collectionId) {
+    lines.push(`Collection: ${collectionId}`);
+    lines.push(`Collection Digest: ${collectionDigest.toLowerCase()}`);
+  } else {
+    lines.push(`Color ID: ${colorId.toLowerCase()}`);
+    lines.push(`Metadata Digest: ${metadataDigest.toLowerCase()}`);
+  }
+  if (status) {
+    lines.push(`Status: ${status}`);
+  }
+  if (reasonDigest) {
+    lines.push(`Reason Digest: ${reasonDigest.toLowerCase()}`);
+  }
+  if (extensionsDigest) {
+    lines.push(`Extensions Digest: ${extensionsDigest.toLowerCase()}`);
+  }
+  lines.push(`Issue: ${issueNumber}`);
+  return lines.join('\n');
+}
+
+/**
+ * Hash a signing message
+ */
+function hashSigningMessage(message) {
+  return tCrypto.sha256(Buffer.from(message, 'utf8'));
+}
+
+/**
+ * Load a Payment Base private key from WIF or 32-byte hex
+ */
+function loadPrivateKey(privateKey) {
+  if (/^[0-9a-f]{64}$/i.test(privateKey)) {
+    return ECPair.fromPrivateKey(Buffer.from(privateKey, 'hex'));
+  }
+  return ECPair.fromWIF(privateKey, [networks.prod, networks.dev]);
+}
+
+/**
+ * Sign a message with the Payment Base private key
+ */
+function signMessage(message, privateKey) {
+  const keyPair = loadPrivateKey(privateKey);
+  return {
+    publicKey: keyPair.publicKey.toString('hex'),
+    signature: keyPair.sign(hashSigningMessage(message)).toString('hex')
+  };
+}
+
+/**
+ * Verify a signature over a message against the Payment Base public key
+ */
+function verifySignature(message, signature, paymentBase) {
+  if (!SIGNATURE_PATTERN.test(signature)) {
+    return false;
+  }
+
+  try {
+    const keyPair = ECPair.fromPublicKey(Buffer.from(paymentBase, 'hex'));
+    return keyPair.verify(hashSigningMessage(message), Buffer.from(signature, 'hex'));
+  } catch (err) {
+    return false;
+  }
+}
+
+module.exports = {
+  SIGNATURE_PATTERN,
+  buildSigningMessage,
+  signMessage,
+  verifySignature
+};
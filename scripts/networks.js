@@ -0,0 +1,131 @@
+/**
+ * Network definitions (TIP-0044)
+ *
+ * Every script reads the supported networks from networks.json at the repository root:
+ *
+ *   id                  Network ID (decimal string)
+ *   name                Display name
+ *   label               Short name used on the command line and in GitHub labels
+ *   production          true for production networks
+ *   explorerApi         Esplora API base URL (optional when an RPC backend is configured)
+ *   explorer            Explorer UI base URL used for links (optional)
+ *   requireSignature    Reject registrations without an Issuer Signature (default false)
+ *   similarTokenPolicy  "warn" or "fail" on similar registered tokens (default "warn")
+ *   minConfirmations    Confirmations the token's issuance needs before registration (default 1)
+ *   rpc                 Tapyrus Core JSON-RPC backend ({ url, user, password }, optional)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { networks } = require('tapyrusjs-lib');
+
+const NETWORKS_FILE = path.join(__dirname, '..', 'networks.json');
+
+const SIMILAR_TOKEN_POLICIES = ['warn', 'fail'];
+
+/**
+ * Validate network definitions, returning a list of errors
+ */
+function validateNetworks(networks) {
+  const errors = [];
+
+  if (!Array.isArray(networks) || networks.length === 0) {
+    return ['networks must be a non-empty array'];
+  }
+
+  const ids = new Set();
+  const labels = new Set();
+  networks.forEach((network, i) => {
+    const field = `networks[${i}]`;
+    if (!/^\d+$/.test(String(network.id || ''))) {
+      errors.push(`${field}.id must be a decimal network ID string`);
+    } else if (ids.has(network.id)) {
+      errors.push(`${field}.id ${network.id} is defined more than once`);
+    }
+    ids.add(network.id);
+
+    if (typeof network.name !== 'string' || network.name.trim() === '') {
+      errors.push(`${field}.name is required`);
+    }
+    if (!/^[a-z0-9-]+$/.test(String(network.label || ''))) {
+      errors.push(`${field}.label must be lowercase letters, digits and -`);
+    } else if (labels.has(network.label)) {
+      errors.push(`${field}.label ${network.label} is defined more than once`);
+    }
+    labels.add(network.label);
+
+    if (typeof network.production !== 'boolean') {
+      errors.push(`${field}.production must be true or false`);
+    }
+    if (!network.explorerApi && !(network.rpc && network.rpc.url)) {
+      errors.push(`${field} needs explorerApi or rpc.url to look up transactions`);
+    }
+    if (network.similarTokenPolicy !== undefined && !SIMILAR_TOKEN_POLICIES.includes(network.similarTokenPolicy)) {
+      errors.push(`${field}.similarTokenPolicy must be one of: ${SIMILAR_TOKEN_POLICIES.join(', ')}`);
+    }
+    if (network.minConfirmations !== undefined && !(Number.isInteger(network.minConfirmations) && network.minConfirmations >= 0)) {
+      errors.push(`${field}.minConfirmations must be a non-negative integer`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Load and validate network definitions from a JSON file
+ */
+function loadNetworks(file = NETWORKS_FILE) {
+  const networks = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const errors = validateNetworks(networks);
+  if (errors.length > 0) {
+    throw new Error(`Invalid network definitions in ${file}:\n` + errors.map(e => `- ${e}`).join('\n'));
+  }
+
+  return networks.map(network => ({
+    requireSignature: false,
+    similarTokenPolicy: 'warn',
+    minConfirmations: 1,
+    ...network
+  }));
+}
+
+const NETWORKS = loadNetworks();
+
+/**
+ * Get the issue form dropdown label of a network
+ */
+function networkFormLabel(network) {
+  return `${network.name} - Network ID: ${network.id}`;
+}
+
+/**
+ * Find a network by its network ID
+ */
+function findNetwork(networkId) {
+  return NETWORKS.find(network => network.id === String(networkId)) || null;
+}
+
+/**
+ * List the network names for messages (e.g. "Tapyrus API or Tapyrus Testnet")
+ */
+function describeNetworks(networks = NETWORKS) {
+  const names = networks.map(network => network.name);
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names[0];
+}
+
+/**
+ * Address encoding parameters (tapyrusjs-lib network) for a network
+ */
+function addressNetwork(network) {
+  return network.production ? networks.prod : networks.dev;
+}
+
+module.exports = {
+  NETWORKS,
+  loadNetworks,
+  validateNetworks,
+  networkFormLabel,
+  findNetwork,
+  describeNetworks,
+  addressNetwork
+};
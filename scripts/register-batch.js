@@ -0,0 +1,413 @@
+#!/usr/bin/env node
+
+/**
+ * Batch registration
+ *
+ * Registers several tokens from one request. The manifest is a JSON array (or an object
+ * with an "entries" array) of:
+ *
+ *   { "network": ..., "color_id": ..., "payment_base": ..., "outpoint": { "txid": ..., "index": ... },
+ *     "metadata": { ... }, "signature": ... }
+ *
+ * The outpoint may also be given as "<txid>:<index>".
+ *
+ * Every entry goes through the single-token registration checks on its own and is reported
+ * separately; new entries are also compared with the earlier entries of the batch for similar
+ * names and symbols. In "all" mode the token files are only written when every entry is valid;
+ * in "valid" mode the valid entries are written and the invalid ones are reported.
+ */
+
+const fs = require('fs');
+const {
+  parseIssueBody,
+  parseMetadataJson,
+  parseCliArgs,
+  parseNetwork,
+  resolveNetworkOption,
+  validateRegistration,
+  writeTokenFile,
+  registrationFailure,
+  RegistrationError
+} = require('./register-token');
+const { findImpersonationRisks } = require('./impersonation');
+const { validationProblem, tableCell } = require('./validation-problems');
+
+// Batch modes and their "Batch Mode" issue form options
+const BATCH_MODE_LABELS = {
+  all: 'Register all entries or none',
+  valid: 'Register valid entries only'
+};
+
+// Upper bound on entries per request, so one issue cannot run for hours
+const MAX_BATCH_ENTRIES = 100;
+
+/**
+ * Map a "Batch Mode" issue form option (or a mode name) to a batch mode, defaulting to "all"
+ */
+function parseBatchMode(value) {
+  if (!value) {
+    return 'all';
+  }
+  const option = String(value).trim();
+  const mode = Object.keys(BATCH_MODE_LABELS).find(m => m === option || BATCH_MODE_LABELS[m] === option);
+  return mode || null;
+}
+
+/**
+ * Parse a batch manifest into entries shaped like parsed issue data
+ */
+function parseBatchManifest(manifest, issueNumber) {
+  const parsed = typeof manifest === 'string' ? parseMetadataJson(manifest) : manifest;
+  const entries = Array.isArray(parsed) ? parsed : parsed && parsed.entries;
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new RegistrationError('The batch must be a non-empty JSON array of token entries');
+  }
+  if (entries.length > MAX_BATCH_ENTRIES) {
+    throw new RegistrationError(`The batch has ${entries.length} entries; at most ${MAX_BATCH_ENTRIES} are allowed per request`);
+  }
+
+  return entries.map(entry => {
+    const data = {};
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      return data;
+    }
+    if (entry.network !== undefined) {
+      data.network = resolveNetworkOption(String(entry.network));
+    }
+    if (entry.color_id) {
+      data.color_id = String(entry.color_id);
+    }
+    if (entry.payment_base) {
+      data.payment_base = String(entry.payment_base);
+    }
+    if (typeof entry.outpoint === 'string') {
+      const separator = entry.outpoint.lastIndexOf(':');
+      data.outpoint_txid = separator === -1 ? entry.outpoint : entry.outpoint.slice(0, separator);
+      data.outpoint_index = separator === -1 ? undefined : entry.outpoint.slice(separator + 1);
+    } else if (entry.outpoint) {
+      data.outpoint_txid = entry.outpoint.txid;
+      data.outpoint_index = entry.outpoint.index !== undefined ? String(entry.outpoint.index) : undefined;
+    }
+    if (entry.metadata !== undefined) {
+      data.metadata = typeof entry.metadata === 'string' ? entry.metadata : JSON.stringify(entry.metadata);
+    }
+    if (entry.signature) {
+      data.signature = String(entry.signature);
+    }
+    if (issueNumber !== undefined) {
+      data.issue_number = issueNumber;
+    }
+    return data;
+  });
+}
+
+/**
+ * Compare each new valid entry with the earlier valid entries of its network
+ *
+ * The entries of a batch are not registered while they are checked, so the registry check alone
+ * would let one batch register look-alike tokens. Matches are added to the entry's warnings, or
+ * fail it when the network's similarTokenPolicy is "fail".
+ */
+function checkSimilarEntries(results) {
+  for (const [i, result] of results.entries()) {
+    if (!result.valid || result.registration.unchanged) {
+      continue;
+    }
+
+    const { networkInfo, colorId, tokenData } = result.registration;
+    const earlier = results.slice(0, i)
+      .filter(r => r.valid && r.registration.networkInfo.id === networkInfo.id)
+      .map(r => ({
+        color_id: r.registration.colorId,
+        payment_base: r.registration.tokenData.payment_base,
+        metadata: r.registration.tokenData.metadata,
+        issuer_verified: !!r.registration.tokenData.issuer_signature
+      }));
+    // Character checks and registered tokens listed again in the batch are already reported
+    const warnings = findImpersonationRisks(tokenData.metadata, tokenData.payment_base, earlier, !!tokenData.issuer_signature)
+      .filter(warning => !result.warnings.includes(warning));
+    if (warnings.length === 0) {
+      continue;
+    }
+
+    if (networkInfo.similarTokenPolicy === 'fail') {
+      const err = registrationFailure(warnings.map(warning => validationProblem('similar_token', 'metadata',
+        `Color ID ${colorId} conflicts with another entry of the batch: ${warning}`,
+        'Choose names and symbols that cannot be confused with each other')));
+      results[i] = { ...result, valid: false, registration: null, warnings: [], error: err.message, problems: err.problems };
+    } else {
+      results[i] = { ...result, warnings: [...result.warnings, ...warnings] };
+    }
+  }
+}
+
+/**
+ * Validate every batch entry independently, returning one result per entry
+ *
+ * A Color ID may only appear once per network in a batch, and new entries are compared with the
+ * earlier entries (see checkSimilarEntries). options are passed to validateRegistration.
+ * Failed entries carry the error message and the validation problems (empty for batch-level errors).
+ */
+async function validateBatch(entries, options = {}) {
+  const log = options.log || console.log;
+  const results = [];
+  const seen = new Set();
+
+  for (const [i, data] of entries.entries()) {
+    const result = { entry: i + 1, network: data.network || null, color_id: data.color_id || null };
+    const key = `${data.network}/${String(data.color_id).toLowerCase()}`;
+
+    try {
+      if (data.color_id && seen.has(key)) {
+        throw new RegistrationError(`Color ID ${data.color_id.toLowerCase()} appears more than once in the batch`);
+      }
+      seen.add(key);
+
+      log(`\n--- Entry ${result.entry}: ${data.color_id || '(no Color ID)'} ---`);
+      const registration = await validateRegistration(data, options);
+      results.push({ ...result, valid: true, registration, warnings: registration.warnings, error: null, problems: [] });
+    } catch (err) {
+      if (!(err instanceof RegistrationError)) {
+        throw err;
+      }
+      results.push({ ...result, valid: false, registration: null, warnings: [], error: err.message, problems: err.problems });
+    }
+  }
+
+  checkSimilarEntries(results);
+  return results;
+}
+
+/**
+ * Decide which entries to write: every valid entry in "valid" mode, all or nothing in "all" mode
+ */
+function selectEntriesToWrite(results, mode) {
+  const valid = results.filter(r => r.valid);
+  if (mode === 'all' && valid.length !== results.length) {
+    return [];
+  }
+  return valid;
+}
+
+/**
+ * Build the per-entry markdown report of a batch
+ *
+ * With dryRun the written entries are reported as the ones that would be registered.
+ */
+function buildBatchReport(results, written, mode, dryRun = false) {
+  const registered = dryRun ? 'Would be registered' : 'Registered';
+  const writtenEntries = new Set(written.map(r => r.entry));
+  const lines = [
+    '| # | Network | Color ID | Result | Details |',
+    '|---|---------|----------|--------|---------|'
+  ];
+
+  for (const result of results) {
+    const networkInfo = result.network && parseNetwork(result.network);
+    const network = networkInfo ? networkInfo.name : (result.network || '');
+    let status;
+    let details;
+    if (!result.valid) {
+      status = 'Failed';
+      details = result.problems.length > 0
+        ? result.problems.map(p => `${p.message} (${p.code})`).join('\n')
+        : result.error;
+    } else if (result.registration.unchanged) {
+      status = 'Already registered';
+      details = 'Registered with identical data';
+    } else if (writtenEntries.has(result.entry)) {
+      status = registered;
+      details = result.registration.signatureAdded
+        ? 'Issuer Signature added to the registered record'
+        : [...result.warnings, ...result.registration.notices].join('\n');
+    } else {
+      status = 'Valid, not registered';
+      details = result.warnings.length > 0 ? result.warnings.join('\n') : 'Other entries failed';
+    }
+    const colorId = result.color_id ? `\`${result.color_id.toLowerCase()}\`` : '';
+    lines.push(`| ${result.entry} | ${tableCell(network)} | ${colorId} | ${status} | ${tableCell(details)} |`);
+  }
+
+  const failed = results.filter(r => !r.valid).length;
+  const summary = `${written.length} of ${results.length} entries ${registered.toLowerCase()}, ${failed} failed ` +
+    `(mode: ${BATCH_MODE_LABELS[mode].toLowerCase()}).`;
+
+  return `${summary}\n\n${lines.join('\n')}`;
+}
+
+/**
+ * Write the token files of the selected entries (entries already registered with identical data are left as they are)
+ */
+function writeBatch(written) {
+  for (const result of written.filter(r => !r.registration.unchanged)) {
+    writeTokenFile(result.registration);
+  }
+}
+
+const CLI_USAGE = `Usage: npm run register-batch -- --manifest <file> [options]
+
+Options:
+  --manifest <file>        Path to the batch manifest (JSON array of token entries)
+  --issue-number <number>  Registration issue number (required when entries carry signatures)
+  --valid-only             Register the valid entries even when other entries fail
+                           (default: register all entries or none)
+  --dry-run                Validate and print the report without writing any files
+  --help                   Show this help`;
+
+const CLI_VALUE_OPTIONS = {
+  '--manifest': 'manifest',
+  '--issue-number': 'issueNumber'
+};
+
+/**
+ * Local CLI mode: validate a manifest file
+ */
+async function runCli(argv) {
+  let options;
+  try {
+    options = parseCliArgs(argv, CLI_VALUE_OPTIONS, { '--valid-only': 'validOnly' });
+    if (!options.help && !options.manifest) {
+      throw new Error('--manifest is required');
+    }
+  } catch (err) {
+    console.error(`${err.message}\n\n${CLI_USAGE}`);
+    process.exit(1);
+  }
+
+  if (options.help) {
+    console.log(CLI_USAGE);
+    return;
+  }
+
+  const mode = options.validOnly ? 'valid' : 'all';
+  let entries;
+  try {
+    entries = parseBatchManifest(fs.readFileSync(options.manifest, 'utf8'), options.issueNumber);
+  } catch (err) {
+    console.error(`\nBatch check failed:\n${err.message}`);
+    process.exit(1);
+  }
+
+  const results = await validateBatch(entries);
+  const written = selectEntriesToWrite(results, mode);
+  const report = buildBatchReport(results, written, mode, options.dryRun);
+
+  console.log('\n=== Batch Report ===\n');
+  console.log(report);
+
+  if (options.dryRun) {
+    console.log('\nDry run: no files were written.');
+  } else {
+    writeBatch(written);
+  }
+
+  if (results.some(r => !r.valid)) {
+    process.exit(1);
+  }
+}
+
+/**
+ * GitHub Actions mode: validate the issue body and write the token files
+ */
+async function runIssue() {
+  const issueBody = process.env.ISSUE_BODY;
+
+  if (!issueBody) {
+    console.error('ISSUE_BODY environment variable is not set');
+    process.exit(1);
+  }
+
+  console.log('Parsing issue body...');
+  const data = parseIssueBody(issueBody);
+  const mode = parseBatchMode(data.batch_mode);
+
+  let entries;
+  try {
+    if (!mode) {
+      throw new RegistrationError(`Invalid batch mode: ${data.batch_mode}`);
+    }
+    if (!data.entries) {
+      throw new RegistrationError('Token entries JSON is required');
+    }
+    try {
+      entries = parseBatchManifest(data.entries, process.env.ISSUE_NUMBER);
+    } catch (err) {
+      throw err instanceof RegistrationError ? err : new RegistrationError(`Invalid JSON format in token entries: ${err.message}`);
+    }
+  } catch (err) {
+    if (!(err instanceof RegistrationError)) {
+      throw err;
+    }
+    console.error(err.message);
+    fs.writeFileSync('validation-error.txt', err.message);
+    process.exit(1);
+  }
+
+  const results = await validateBatch(entries);
+
+  // Similar tokens hold the whole batch until a maintainer approves it
+  const warned = results.filter(r => r.valid && r.warnings.length > 0);
+  if (warned.length > 0 && process.env.REGISTRATION_APPROVED !== 'true') {
+    const warnings = warned.map(r => r.warnings.map(w => `- Entry ${r.entry}: ${w}`).join('\n')).join('\n');
+    console.log(`Batch needs maintainer approval:\n${warnings}`);
+    fs.writeFileSync('registration-warnings.txt', warnings);
+    fs.writeFileSync('batch-report.md', buildBatchReport(results, [], mode));
+    return;
+  }
+
+  const written = selectEntriesToWrite(results, mode);
+  const report = buildBatchReport(results, written, mode);
+  console.log(`\n${report}`);
+  fs.writeFileSync('batch-report.md', report);
+
+  if (written.length === 0) {
+    fs.writeFileSync('validation-error.txt', report);
+    process.exit(1);
+  }
+
+  writeBatch(written);
+
+  // Registered tokens for GitHub Actions, one "<network id> <color id>" line each
+  fs.writeFileSync('batch-registered.txt', written
+    .map(r => `${r.registration.networkInfo.id} ${r.registration.colorId}`)
+    .join('\n') + '\n');
+
+  console.log(`Registered ${written.length} tokens`);
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length > 0) {
+    await runCli(args);
+    return;
+  }
+
+  try {
+    await runIssue();
+  } catch (err) {
+    console.error('Unexpected error:', err);
+    fs.writeFileSync('validation-error.txt', `Unexpected error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Unexpected error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  BATCH_MODE_LABELS,
+  parseBatchMode,
+  parseBatchManifest,
+  validateBatch,
+  selectEntriesToWrite,
+  buildBatchReport
+};
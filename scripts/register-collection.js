@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const {
+  ISSUE_NUMBER_PATTERN,
+  parseIssueBody,
+  parseNetwork,
+  parseCliArgs,
+  parseMetadataJson,
+  resolveNetworkOption
+} = require('./register-token');
+const { NETWORKS, describeNetworks } = require('./networks');
+const { SIGNATURE_PATTERN, signMessage, verifySignature } = require('./issuer-signature');
+const { prepareAssets, applyAssets, writeAssets } = require('./asset-mirror');
+const {
+  COLLECTIONS_DIR,
+  COLLECTION_ID_PATTERN,
+  validateCollectionDefinition,
+  collectionDefinition,
+  buildCollectionMessage,
+  readNetworkCollections,
+  readTokenOwners,
+  checkCollectionMembers
+} = require('./collections');
+
+/**
+ * Error raised when a collection request fails validation
+ */
+class CollectionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CollectionError';
+  }
+}
+
+/**
+ * Validate basic input fields of a collection request
+ */
+function validateCollectionFields(data, options = {}) {
+  const errors = [];
+
+  if (!data.network) {
+    errors.push('Network is required');
+  } else if (!parseNetwork(data.network)) {
+    errors.push(`Invalid network selected. Please select ${describeNetworks()}`);
+  }
+
+  if (!data.collection_id) {
+    errors.push('Collection ID is required');
+  } else if (!COLLECTION_ID_PATTERN.test(data.collection_id)) {
+    errors.push('Invalid Collection ID. Use 1-64 lowercase letters, digits and hyphens, starting and ending with a letter or digit');
+  }
+
+  if (!data.collection) {
+    errors.push('Collection JSON is required');
+  }
+
+  if (!data.signature) {
+    if (!options.allowUnsigned) {
+      errors.push('Issuer Signature is required to prove control of the Payment Base');
+    }
+  } else if (!SIGNATURE_PATTERN.test(data.signature)) {
+    errors.push('Invalid Issuer Signature format. Must be a 64 bytes compact signature (128 hex characters)');
+  }
+
+  if (!data.issue_number) {
+    errors.push('Issue number is required to verify the Issuer Signature');
+  } else if (!ISSUE_NUMBER_PATTERN.test(String(data.issue_number))) {
+    errors.push('Issue number must be a positive integer');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a collection request and build the collection record without writing anything
+ *
+ * An existing collection can be replaced by its owner (the same Payment Base).
+ * options.allowUnsigned skips the signature requirement (used when signing locally).
+ * options.tokensDir / options.collectionsDir replace docs/tokens and docs/collections.
+ * options.assets is passed to asset mirroring.
+ */
+async function validateCollection(data, options = {}) {
+  const errors = validateCollectionFields(data, options);
+  if (errors.length > 0) {
+    throw new CollectionError(errors.map(e => `- ${e}`).join('\n'));
+  }
+
+  let definition;
+  try {
+    definition = typeof data.collection === 'string' ? parseMetadataJson(data.collection) : data.collection;
+  } catch (err) {
+    throw new CollectionError(`Invalid JSON format in collection: ${err.message}`);
+  }
+
+  const definitionErrors = validateCollectionDefinition(definition);
+  if (definitionErrors.length > 0) {
+    throw new CollectionError('Collection validation error:\n' + definitionErrors.map(e => `- ${e}`).join('\n'));
+  }
+  definition = { ...definition, payment_base: definition.payment_base.toLowerCase() };
+
+  const networkInfo = parseNetwork(data.network);
+  const collectionId = data.collection_id;
+  const tokensDir = options.tokensDir || path.join('docs', 'tokens');
+  const collectionsDir = options.collectionsDir || COLLECTIONS_DIR;
+  const collectionPath = path.join(collectionsDir, networkInfo.id, `${collectionId}.json`);
+
+  const collections = readNetworkCollections(networkInfo.id, collectionsDir);
+  const existing = collections.find(c => c.id === collectionId);
+  if (existing && existing.payment_base !== definition.payment_base) {
+    throw new CollectionError(`Collection ${collectionId} already exists on ${networkInfo.name} and is owned by another Payment Base`);
+  }
+
+  const memberProblems = checkCollectionMembers(collectionId, definition, readTokenOwners(networkInfo.id, tokensDir,
+    (file, message) => console.log(`Skipping unreadable token file ${file}: ${message}`)), collections);
+  if (memberProblems.length > 0) {
+    throw new CollectionError('Collection tokens error:\n' + memberProblems.map(p => `- ${p}`).join('\n'));
+  }
+
+  const message = buildCollectionMessage(networkInfo, collectionId, definition, data.issue_number);
+
+  if (data.signature) {
+    console.log('Verifying Issuer Signature...');
+    if (!verifySignature(message, data.signature, definition.payment_base)) {
+      throw new CollectionError(`Issuer Signature verification failed.\n\n` +
+        `The signature must be made with the Payment Base private key over SHA256 of the following message:\n\n` +
+        '```\n' + message + '\n```');
+    }
+    console.log('Issuer Signature verified successfully');
+  }
+
+  const collectionData = {
+    ...definition,
+    collection_proof: {
+      updated_at: new Date().toISOString(),
+      issue_number: parseInt(data.issue_number, 10),
+      signature: data.signature ? data.signature.toLowerCase() : undefined
+    }
+  };
+
+  // Mirror the banner, keeping the copy of an unchanged banner
+  if (existing && existing.assets) {
+    collectionData.assets = existing.assets;
+  }
+  let assets;
+  try {
+    assets = await prepareAssets(collectionData, options.assets);
+  } catch (err) {
+    throw new CollectionError(`Asset validation failed: ${err.message}`);
+  }
+  const assetRecords = applyAssets(collectionData, assets);
+  if (assetRecords) {
+    collectionData.assets = assetRecords;
+  } else {
+    delete collectionData.assets;
+  }
+
+  return {
+    collectionId,
+    networkInfo,
+    message,
+    collectionPath,
+    collectionData,
+    assets
+  };
+}
+
+/**
+ * Write the collection record
+ */
+function writeCollection(registration, docsDir) {
+  writeAssets(registration.assets, docsDir);
+  fs.mkdirSync(path.dirname(registration.collectionPath), { recursive: true });
+  fs.writeFileSync(registration.collectionPath, JSON.stringify(registration.collectionData, null, 2) + '\n');
+  console.log(`Collection written to ${registration.collectionPath}`);
+}
+
+const CLI_USAGE = `Usage: npm run register-collection -- [options]
+
+Options:
+  --network <network>        Network label (${NETWORKS.map(n => n.label).join(', ')}), network ID or issue form label
+  --collection-id <id>       Collection ID (lowercase letters, digits and hyphens)
+  --collection <file>        Path to the collection JSON file
+  --issue-number <number>    Collection issue number
+  --signature <hex>          Issuer Signature by the collection's Payment Base key
+  --sign                     Sign the request with PAYMENT_BASE_PRIVATE_KEY (WIF or hex)
+                             and print the Issuer Signature (implies --dry-run)
+  --dry-run                  Validate without writing any files
+  --help                     Show this help`;
+
+const CLI_VALUE_OPTIONS = {
+  '--network': 'network',
+  '--collection-id': 'collectionId',
+  '--collection': 'collection',
+  '--issue-number': 'issueNumber',
+  '--signature': 'signature'
+};
+
+/**
+ * Local CLI mode: validate or sign a collection request
+ */
+async function runCli(argv) {
+  let options;
+  try {
+    options = parseCliArgs(argv, CLI_VALUE_OPTIONS);
+  } catch (err) {
+    console.error(`${err.message}\n\n${CLI_USAGE}`);
+    process.exit(1);
+  }
+
+  if (options.help) {
+    console.log(CLI_USAGE);
+    return;
+  }
+
+  let registration;
+  try {
+    registration = await validateCollection({
+      network: options.network && resolveNetworkOption(options.network),
+      collection_id: options.collectionId,
+      collection: options.collection && fs.readFileSync(options.collection, 'utf8'),
+      issue_number: options.issueNumber,
+      signature: options.signature
+    }, { allowUnsigned: options.sign });
+  } catch (err) {
+    console.error(`\nCollection check failed:\n${err.message}`);
+    process.exit(1);
+  }
+
+  if (options.sign) {
+    const privateKey = process.env.PAYMENT_BASE_PRIVATE_KEY;
+    if (!privateKey) {
+      console.error('PAYMENT_BASE_PRIVATE_KEY environment variable is not set');
+      process.exit(1);
+    }
+    const signed = signMessage(registration.message, privateKey);
+    if (signed.publicKey !== registration.collectionData.payment_base) {
+      console.error('PAYMENT_BASE_PRIVATE_KEY does not match the Payment Base');
+      process.exit(1);
+    }
+    console.log('\nAdd this value to the "Issuer Signature" field of the issue:');
+    console.log(signed.signature);
+    return;
+  }
+
+  console.log(`\nCollection ${registration.collectionId}:`);
+  console.log(JSON.stringify(collectionDefinition(registration.collectionData), null, 2));
+
+  if (options.dryRun) {
+    console.log('\nDry run: all checks passed, no files were written.');
+    return;
+  }
+
+  writeCollection(registration);
+}
+
+/**
+ * GitHub Actions mode: validate the issue body and write the collection record
+ */
+async function runIssue() {
+  const issueBody = process.env.ISSUE_BODY;
+
+  if (!issueBody) {
+    console.error('ISSUE_BODY environment variable is not set');
+    process.exit(1);
+  }
+
+  console.log('Parsing issue body...');
+  const data = parseIssueBody(issueBody);
+  if (process.env.ISSUE_NUMBER) {
+    data.issue_number = process.env.ISSUE_NUMBER;
+  }
+  console.log('Parsed data:', JSON.stringify(data, null, 2));
+
+  let registration;
+  try {
+    registration = await validateCollection(data);
+  } catch (err) {
+    if (!(err instanceof CollectionError)) {
+      throw err;
+    }
+    console.error(err.message);
+    fs.writeFileSync('validation-error.txt', err.message);
+    process.exit(1);
+  }
+
+  writeCollection(registration);
+
+  // Write collection info for GitHub Actions
+  fs.writeFileSync('token-network.txt', registration.networkInfo.id);
+  fs.writeFileSync('token-network-name.txt', registration.networkInfo.name);
+  fs.writeFileSync('collection-id.txt', registration.collectionId);
+
+  console.log('Collection registered');
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length > 0) {
+    await runCli(args);
+    return;
+  }
+
+  try {
+    await runIssue();
+  } catch (err) {
+    console.error('Unexpected error:', err);
+    fs.writeFileSync('validation-error.txt', `Unexpected error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Unexpected error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  CollectionError,
+  validateCollection,
+  writeCollection
+};
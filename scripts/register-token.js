@@ -2,8 +2,16 @@
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
+const canonicalize = require('canonicalize');
 const { Metadata, crypto: tCrypto, payments } = require('tapyrusjs-lib');
+const { NETWORKS, networkFormLabel, findNetwork, describeNetworks, addressNetwork } = require('./networks');
+const { createChainBackend } = require('./chain-backend');
+const { SIGNATURE_PATTERN, buildSigningMessage, signMessage, verifySignature } = require('./issuer-signature');
+const { prepareAssets, applyAssets, writeAssets } = require('./asset-mirror');
+const { validateTokenMetadata } = require('./token-schema');
+const { findImpersonationRisks, readRegisteredTokens } = require('./impersonation');
+const { buildFieldLabelMap } = require('./issue-forms');
+const { validationProblem, sortProblems, exitCodeFor, formatProblems, renderProblemTable, buildValidationResult } = require('./validation-problems');
 
 // Color ID validation pattern: c[123] + 64 hex characters = 66 characters total
 const COLOR_ID_PATTERN = /^c[123][0-9a-f]{64}$/i;
@@ -14,21 +22,8 @@ const PAYMENT_BASE_PATTERN = /^(02|03)[0-9a-f]{64}$/i;
 // Txid validation pattern: 64 hex characters
 const TXID_PATTERN = /^[0-9a-f]{64}$/i;
 
-// Network definitions (TIP-0044)
-const NETWORKS = {
-  'Tapyrus API - Network ID: 15215628': {
-    id: '15215628',
-    name: 'Tapyrus API',
-    label: 'api',
-    explorerApi: 'https://explorer.api.tapyrus.chaintope.com/api'
-  },
-  'Tapyrus Testnet - Network ID: 1939510133': {
-    id: '1939510133',
-    name: 'Tapyrus Testnet',
-    label: 'testnet',
-    explorerApi: 'https://testnet-explorer.tapyrus.dev.chaintope.com/api'
-  }
-};
+// Issue number validation pattern: positive integer
+const ISSUE_NUMBER_PATTERN = /^[1-9][0-9]*$/;
 
 // Map Color ID prefix to token type
 const COLOR_ID_PREFIX_TO_TYPE = {
@@ -37,24 +32,8 @@ const COLOR_ID_PREFIX_TO_TYPE = {
   'c3': 'nft'
 };
 
-/**
- * Fetch JSON from URL
- */
-function fetchJson(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          resolve(JSON.parse(data));
-        } catch (e) {
-          reject(new Error(`Failed to parse JSON from ${url}: ${e.message}`));
-        }
-      });
-    }).on('error', reject);
-  });
-}
+// Issue form field labels ("### <label>" headers) mapped to field IDs
+const FIELD_LABELS = buildFieldLabelMap();
 
 /**
  * Parse GitHub Issue form body
@@ -109,19 +88,10 @@ function parseIssueBody(body) {
 }
 
 /**
- * Map field names from Issue template to keys
+ * Map field names from Issue template to keys (see scripts/issue-forms.js)
  */
 function mapFieldName(name) {
-  const mapping = {
-    'Network': 'network',
-    'Color ID': 'color_id',
-    'Payment Base': 'payment_base',
-    'OutPoint Txid (for Non-Reissuable/NFT only)': 'outpoint_txid',
-    'OutPoint Index (for Non-Reissuable/NFT only)': 'outpoint_index',
-    'Token Metadata (JSON)': 'metadata',
-    'Confirmation': 'confirmation'
-  };
-  return mapping[name] || name.toLowerCase().replace(/\s+/g, '_');
+  return FIELD_LABELS[name] || name.toLowerCase().replace(/\s+/g, '_');
 }
 
 /**
@@ -129,57 +99,55 @@ function mapFieldName(name) {
  */
 function parseNetwork(networkLabel) {
   // Direct match
-  if (NETWORKS[networkLabel]) {
-    return NETWORKS[networkLabel];
+  const network = NETWORKS.find(info => networkFormLabel(info) === networkLabel);
+  if (network) {
+    return network;
   }
 
   // Try to extract network ID from the label
   const match = networkLabel.match(/Network ID:\s*(\d+)/);
   if (match) {
-    const networkId = match[1];
-    for (const [label, info] of Object.entries(NETWORKS)) {
-      if (info.id === networkId) {
-        return info;
-      }
-    }
+    return findNetwork(match[1]);
   }
 
   return null;
 }
 
 /**
- * Validate basic input fields (before Metadata class validation)
+ * Check basic input fields (before Metadata class validation), returning validation problems
  */
-function validateInputFields(data) {
-  const errors = [];
+function checkInputFields(data) {
+  const problems = [];
+  const required = (field, message, hint) => problems.push(validationProblem('field_required', field, message, hint));
+  const invalid = (field, message) => problems.push(validationProblem('field_invalid', field, message));
 
   // Required: network
   if (!data.network) {
-    errors.push('Network is required');
+    required('network', 'Network is required', `Select ${describeNetworks()}`);
   } else {
     const networkInfo = parseNetwork(data.network);
     if (!networkInfo) {
-      errors.push('Invalid network selected. Please select Tapyrus API or Tapyrus Testnet');
+      invalid('network', `Invalid network selected. Please select ${describeNetworks()}`);
     }
   }
 
   // Required: color_id
   if (!data.color_id) {
-    errors.push('Color ID is required');
+    required('color_id', 'Color ID is required');
   } else if (!COLOR_ID_PATTERN.test(data.color_id)) {
-    errors.push('Invalid Color ID format. Must be c1/c2/c3 prefix + 64 hex characters');
+    invalid('color_id', 'Invalid Color ID format. Must be c1/c2/c3 prefix + 64 hex characters');
   }
 
   // Required: payment_base
   if (!data.payment_base) {
-    errors.push('Payment Base is required');
+    required('payment_base', 'Payment Base is required');
   } else if (!PAYMENT_BASE_PATTERN.test(data.payment_base)) {
-    errors.push('Invalid Payment Base format. Must be 33 bytes compressed public key (66 hex characters starting with 02 or 03)');
+    invalid('payment_base', 'Invalid Payment Base format. Must be 33 bytes compressed public key (66 hex characters starting with 02 or 03)');
   }
 
   // Required: metadata
   if (!data.metadata) {
-    errors.push('Token metadata is required');
+    required('metadata', 'Token metadata is required');
   }
 
   // For c2/c3 tokens, OutPoint is required
@@ -187,23 +155,41 @@ function validateInputFields(data) {
     const prefix = data.color_id.substring(0, 2).toLowerCase();
     if (prefix === 'c2' || prefix === 'c3') {
       if (!data.outpoint_txid) {
-        errors.push('OutPoint Txid is required for Non-Reissuable and NFT tokens');
+        required('outpoint_txid', 'OutPoint Txid is required for Non-Reissuable and NFT tokens', 'Use the txid of the output spent by the issuance transaction');
       } else if (!TXID_PATTERN.test(data.outpoint_txid)) {
-        errors.push('Invalid OutPoint Txid format. Must be 64 hex characters');
+        invalid('outpoint_txid', 'Invalid OutPoint Txid format. Must be 64 hex characters');
       }
 
       if (data.outpoint_index === undefined || data.outpoint_index === '') {
-        errors.push('OutPoint Index is required for Non-Reissuable and NFT tokens');
+        required('outpoint_index', 'OutPoint Index is required for Non-Reissuable and NFT tokens', 'Use the index of the output spent by the issuance transaction');
       } else {
         const index = parseInt(data.outpoint_index, 10);
         if (isNaN(index) || index < 0) {
-          errors.push('OutPoint Index must be a non-negative integer');
+          invalid('outpoint_index', 'OutPoint Index must be a non-negative integer');
         }
       }
     }
   }
 
-  return errors;
+  // Optional: issuer signature (made over the issue number)
+  if (data.signature && !SIGNATURE_PATTERN.test(data.signature)) {
+    invalid('signature', 'Invalid Issuer Signature format. Must be a 64 bytes compact signature (128 hex characters)');
+  }
+
+  if (data.issue_number !== undefined && !ISSUE_NUMBER_PATTERN.test(String(data.issue_number))) {
+    invalid('issue_number', 'Issue number must be a positive integer');
+  } else if (data.signature && !data.issue_number) {
+    required('issue_number', 'Issue number is required to verify the Issuer Signature');
+  }
+
+  return problems;
+}
+
+/**
+ * Validate basic input fields, returning a list of error messages
+ */
+function validateInputFields(data) {
+  return checkInputFields(data).map(problem => problem.message);
 }
 
 /**
@@ -225,6 +211,18 @@ function parseMetadataJson(jsonString) {
   return JSON.parse(cleaned);
 }
 
+/**
+ * Create a Metadata instance for a Color ID (adds version and tokenType for the Metadata class)
+ */
+function createMetadata(colorId, metadataFields) {
+  const tokenType = COLOR_ID_PREFIX_TO_TYPE[colorId.substring(0, 2).toLowerCase()];
+  return new Metadata({
+    version: '1.0',
+    tokenType: tokenType,
+    ...metadataFields
+  });
+}
+
 /**
  * Derive P2PKH scriptPubkey from P2C public key
  */
@@ -269,31 +267,10 @@ function verifyOutPointColorId(metadata, outPointTxid, outPointIndex, expectedCo
   };
 }
 
-/**
- * Fetch transaction output scriptPubkey from explorer
- */
-async function fetchOutPointScriptPubkey(explorerApi, txid, index) {
-  const url = `${explorerApi}/tx/${txid}`;
-  console.log(`Fetching transaction from: ${url}`);
-
-  const txData = await fetchJson(url);
-
-  if (!txData || !txData.vout || !txData.vout[index]) {
-    throw new Error(`Output index ${index} not found in transaction ${txid}`);
-  }
-
-  const output = txData.vout[index];
-  if (!output.scriptpubkey) {
-    throw new Error(`scriptpubkey not found for output ${index} in transaction ${txid}`);
-  }
-
-  return Buffer.from(output.scriptpubkey, 'hex');
-}
-
 /**
  * Verify OutPoint scriptPubkey matches P2C derived scriptPubkey
  */
-async function verifyOutPointScriptPubkey(metadata, paymentBase, explorerApi, txid, index) {
+async function verifyOutPointScriptPubkey(metadata, paymentBase, backend, txid, index) {
   // Derive P2C public key from Payment Base + Metadata
   const paymentBaseBuffer = Buffer.from(paymentBase, 'hex');
   const p2cPubkey = metadata.p2cPublicKey(paymentBaseBuffer);
@@ -301,8 +278,8 @@ async function verifyOutPointScriptPubkey(metadata, paymentBase, explorerApi, tx
   // Derive expected P2PKH scriptPubkey
   const expectedScriptPubkey = deriveP2PKHScriptPubkey(p2cPubkey);
 
-  // Fetch actual scriptPubkey from explorer
-  const actualScriptPubkey = await fetchOutPointScriptPubkey(explorerApi, txid, index);
+  // Fetch actual scriptPubkey from the chain backend
+  const actualScriptPubkey = await backend.getOutputScriptPubkey(txid, index);
 
   return {
     match: expectedScriptPubkey.equals(actualScriptPubkey),
@@ -313,174 +290,878 @@ async function verifyOutPointScriptPubkey(metadata, paymentBase, explorerApi, tx
 }
 
 /**
- * Main execution
+ * Describe a failed chain backend lookup as a validation problem
+ *
+ * Explorer errors (see explorer-client.js) say whether the explorer was unavailable or
+ * answered with a malformed response.
  */
-async function main() {
-  const issueBody = process.env.ISSUE_BODY;
+function lookupFailure(code, field, action, err) {
+  if (err.kind === 'unavailable') {
+    return validationProblem(code, field, `Explorer unavailable: failed to ${action}: ${err.message}`,
+      'The explorer could not be reached or answered with an error; edit the issue to retry later');
+  }
+  if (err.kind === 'malformed') {
+    return validationProblem(code, field, `Malformed explorer response: failed to ${action}: ${err.message}`,
+      'The explorer answered with data that could not be read; edit the issue to retry later, and report it if it persists');
+  }
+  return validationProblem(code, field, `Failed to ${action}: ${err.message}`,
+    'The chain backend could not be queried; edit the issue to retry later');
+}
 
-  if (!issueBody) {
-    console.error('ISSUE_BODY environment variable is not set');
-    process.exit(1);
+/**
+ * Check whether a chain backend can look up the issuance of a Color ID
+ *
+ * Only backends that list the transactions of a color (getColorIssuance) can: the OutPoint
+ * transaction of a Non-Reissuable or NFT token shows that the OutPoint exists, not that the
+ * token was issued from it.
+ */
+function canCheckIssuance(backend) {
+  return typeof backend.getColorIssuance === 'function';
+}
+
+/**
+ * Check that a Color ID has been issued on chain with enough confirmations, returning validation problems
+ *
+ * The backend must be able to look up the issuance (see canCheckIssuance).
+ */
+async function checkIssuance(backend, networkInfo, colorId) {
+  const issuance = await backend.getColorIssuance(colorId);
+  if (!issuance) {
+    return [validationProblem('token_not_issued', 'color_id', `No tokens with Color ID ${colorId} have been issued on ${networkInfo.name}`,
+      'This registry is for tokens that have already been issued. Issue the token, then edit the issue to retry')];
   }
 
-  console.log('Parsing issue body...');
-  const data = parseIssueBody(issueBody);
-  console.log('Parsed data:', JSON.stringify(data, null, 2));
+  const required = networkInfo.minConfirmations;
+  if (required > 0) {
+    const confirmations = issuance.blockHeight === null ? 0 : await backend.getBlockHeight() - issuance.blockHeight + 1;
+    if (confirmations < required) {
+      return [validationProblem('insufficient_confirmations', 'color_id',
+        `Transaction ${issuance.txid} has ${confirmations} confirmations; ${required} are required on ${networkInfo.name}`,
+        'Wait for more blocks, then edit the issue to retry')];
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Build the issuer signing message for a registration
+ */
+function buildRegistrationMessage(networkInfo, colorId, metadata, issueNumber) {
+  return buildSigningMessage({
+    action: 'register',
+    networkId: networkInfo.id,
+    colorId,
+    metadataDigest: metadata.digest().toString('hex'),
+    issueNumber
+  });
+}
+
+/**
+ * Check whether the Issuer Signature recorded for a registered token verifies against its Payment Base
+ */
+function registeredSignatureVerifies(networkInfo, token) {
+  if (!token.issuer_signature || typeof token.issuer_signature !== 'object') {
+    return false;
+  }
+  try {
+    const metadata = createMetadata(token.color_id, token.metadata);
+    const message = buildRegistrationMessage(networkInfo, token.color_id, metadata, token.issuer_signature.issue_number);
+    return verifySignature(message, String(token.issuer_signature.signature || ''), token.payment_base);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Build the provenance record of a registration: the request it came from and the values checked
+ */
+function buildProvenance(networkInfo, metadata, paymentBase, issueNumber, outpointBlock) {
+  const paymentBaseBuffer = Buffer.from(paymentBase, 'hex');
+  const provenance = {
+    registered_at: new Date().toISOString(),
+    issue_number: issueNumber !== undefined ? parseInt(issueNumber, 10) : null,
+    metadata_digest: metadata.digest().toString('hex'),
+    canonical_metadata: metadata.toCanonical(),
+    p2c_pubkey: metadata.p2cPublicKey(paymentBaseBuffer).toString('hex'),
+    p2c_address: metadata.p2cAddress(paymentBaseBuffer, addressNetwork(networkInfo))
+  };
+  if (outpointBlock) {
+    provenance.outpoint_block = outpointBlock;
+  }
+  return provenance;
+}
+
+/**
+ * Error raised when a registration request fails validation
+ *
+ * problems lists the structured validation problems (see scripts/validation-problems.js).
+ */
+class RegistrationError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = 'RegistrationError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Create a RegistrationError from validation problems
+ */
+function registrationFailure(problems) {
+  const sorted = sortProblems(problems);
+  return new RegistrationError(formatProblems(sorted), sorted);
+}
+
+/**
+ * Compare a registered token record with the record a request would create
+ *
+ * Compares payment_base, outpoint and every metadata field, returning the differing fields
+ * as { field, registered, requested } records.
+ */
+function diffRegistration(record, requested) {
+  const differences = [];
+  const compare = (field, registered, value) => {
+    if (canonicalize(registered) !== canonicalize(value)) {
+      differences.push({ field, registered, requested: value });
+    }
+  };
+  const lower = value => typeof value === 'string' ? value.toLowerCase() : value;
+
+  compare('payment_base', lower(record.payment_base), lower(requested.payment_base));
+  const recordOutpoint = record.outpoint || {};
+  const requestedOutpoint = requested.outpoint || {};
+  compare('outpoint.txid', lower(recordOutpoint.txid), lower(requestedOutpoint.txid));
+  compare('outpoint.index', recordOutpoint.index, requestedOutpoint.index);
+
+  const recordMetadata = record.metadata || {};
+  const requestedMetadata = requested.metadata || {};
+  const keys = new Set([...Object.keys(recordMetadata), ...Object.keys(requestedMetadata)]);
+  for (const key of [...keys].sort()) {
+    compare(`metadata.${key}`, recordMetadata[key], requestedMetadata[key]);
+  }
+
+  return differences;
+}
+
+/**
+ * Format the differences found by diffRegistration, one field per line
+ */
+function formatDifferences(differences) {
+  const value = v => v === undefined ? '(none)' : JSON.stringify(v);
+  return differences.map(d => `${d.field}: registered ${value(d.registered)}, requested ${value(d.requested)}`).join('\n');
+}
+
+/**
+ * Return a registered token record with an Issuer Signature added (or replaced)
+ *
+ * The signature follows the metadata and records the issue it was given in; the provenance keeps
+ * the issue the token was registered in.
+ */
+function withIssuerSignature(record, issuerSignature) {
+  const updated = {};
+  for (const [key, value] of Object.entries(record)) {
+    if (key !== 'issuer_signature') {
+      updated[key] = value;
+    }
+    if (key === 'metadata') {
+      updated.issuer_signature = issuerSignature;
+    }
+  }
+  return updated;
+}
+
+/**
+ * Validate a registration request without writing anything
+ *
+ * Every check whose inputs are valid runs, so all problems that can be found are reported
+ * together in the thrown RegistrationError. Assets are only downloaded once the other checks pass.
+ *
+ * A request for a registered Color ID succeeds without changes when the registered Payment Base,
+ * OutPoint and metadata are identical (the result has unchanged: true and the registered record
+ * as tokenData), so edited issues and re-run workflows do not fail. The Issuer Signature is still
+ * verified, and a valid signature the record does not have yet is added to it (signatureAdded:
+ * true, tokenData is the updated record). Otherwise the differing fields are reported.
+ *
+ * options.allowUnsigned skips the per-network signature requirement (used when signing locally)
+ * and options.skipIssuanceCheck the on-chain issuance and confirmation checks.
+ * options.assets is passed to asset mirroring.
+ * options.backend replaces the network's chain backend, options.tokensDir the docs/tokens directory
+ * and options.log the progress logger (console.log).
+ */
+async function validateRegistration(data, options = {}) {
+  const log = options.log || console.log;
+  const problems = [];
 
   // Parse metadata JSON
   let metadataFields = null;
   if (data.metadata) {
     try {
       metadataFields = parseMetadataJson(data.metadata);
-      console.log('Parsed metadata:', JSON.stringify(metadataFields, null, 2));
+      log('Parsed metadata:', JSON.stringify(metadataFields, null, 2));
     } catch (err) {
-      const errorMessage = `Invalid JSON format in metadata: ${err.message}`;
-      console.error(errorMessage);
-      fs.writeFileSync('validation-error.txt', errorMessage);
-      process.exit(1);
+      problems.push(validationProblem('metadata_json_invalid', 'metadata', `Invalid JSON format in metadata: ${err.message}`,
+        'Enter the metadata as a single JSON object'));
     }
   }
 
-  console.log('Validating input fields...');
-  const inputErrors = validateInputFields(data);
+  log('Validating input fields...');
+  const inputProblems = checkInputFields(data);
+  problems.push(...inputProblems);
+
+  // The checks below run as far as the fields they need are valid
+  const invalidFields = new Set(inputProblems.map(p => p.field));
+  const networkInfo = invalidFields.has('network') ? null : parseNetwork(data.network);
+  const colorId = invalidFields.has('color_id') ? null : data.color_id.toLowerCase();
+  const prefix = colorId && colorId.substring(0, 2);
+  const tokenType = colorId && COLOR_ID_PREFIX_TO_TYPE[prefix];
+  const hasOutPoint = prefix === 'c2' || prefix === 'c3';
+  const paymentBaseValid = !invalidFields.has('payment_base');
+  const outPointValid = hasOutPoint && !invalidFields.has('outpoint_txid') && !invalidFields.has('outpoint_index');
+
+  // Check the metadata fields against the published token record schema
+  let metadataSchemaValid = true;
+  if (metadataFields) {
+    for (const error of validateTokenMetadata(metadataFields)) {
+      metadataSchemaValid = false;
+      problems.push(validationProblem('metadata_invalid', 'metadata', `Metadata validation error: ${error}`,
+        'Use only the TIP-0020 metadata fields and formats of docs/schema/token-record.schema.json'));
+    }
+  }
 
-  if (inputErrors.length > 0) {
-    const errorMessage = inputErrors.map(e => `- ${e}`).join('\n');
-    console.error('Validation errors:\n' + errorMessage);
-    fs.writeFileSync('validation-error.txt', errorMessage);
-    process.exit(1);
+  // Create Metadata instance (this also validates the metadata)
+  let metadata = null;
+  if (colorId && metadataFields && metadataSchemaValid) {
+    try {
+      metadata = createMetadata(colorId, metadataFields);
+    } catch (err) {
+      problems.push(validationProblem('metadata_invalid', 'metadata', `Metadata validation error: ${err.message}`,
+        'The metadata must follow TIP-0020 (name and symbol are required)'));
+    }
   }
 
-  const colorId = data.color_id.toLowerCase();
-  const prefix = colorId.substring(0, 2);
-  const tokenType = COLOR_ID_PREFIX_TO_TYPE[prefix];
-  const networkInfo = parseNetwork(data.network);
+  if (metadata) {
+    log(`Token type: ${tokenType}`);
+    log(`Metadata digest: ${metadata.digest().toString('hex')}`);
+  }
 
-  // Add version and tokenType for Metadata class
-  const fieldsWithType = {
-    version: '1.0',
-    tokenType: tokenType,
-    ...metadataFields
-  };
+  // Record of an already registered Color ID
+  const tokenDir = networkInfo && path.join(options.tokensDir || path.join('docs', 'tokens'), networkInfo.id);
+  const tokenPath = networkInfo && colorId && path.join(tokenDir, `${colorId}.json`);
+  const registered = !!tokenPath && fs.existsSync(tokenPath);
+  let record = null;
+  if (registered) {
+    try {
+      record = JSON.parse(fs.readFileSync(tokenPath, 'utf8'));
+    } catch (err) {
+      log(`Could not read the registered record: ${err.message}`);
+    }
+  }
 
-  // Create Metadata instance (this also validates the metadata)
-  let metadata;
-  try {
-    metadata = new Metadata(fieldsWithType);
-  } catch (err) {
-    const errorMessage = `Metadata validation error: ${err.message}`;
-    console.error(errorMessage);
-    fs.writeFileSync('validation-error.txt', errorMessage);
-    process.exit(1);
+  // Verify proof of issuer control (signature by the Payment Base key)
+  let issuerSignature = null;
+  if (data.signature) {
+    if (networkInfo && metadata && paymentBaseValid && !invalidFields.has('signature') && !invalidFields.has('issue_number')) {
+      log('Verifying Issuer Signature...');
+      const message = buildRegistrationMessage(networkInfo, colorId, metadata, data.issue_number);
+      if (verifySignature(message, data.signature, data.payment_base)) {
+        issuerSignature = {
+          issue_number: parseInt(data.issue_number, 10),
+          signature: data.signature.toLowerCase()
+        };
+        log('Issuer Signature verified successfully');
+      } else {
+        problems.push(validationProblem('signature_invalid', 'signature', 'Issuer Signature verification failed',
+          'Sign SHA256 of the message below with the Payment Base private key, e.g. with `npm run register -- --sign`',
+          message));
+      }
+    }
+  } else if (networkInfo && networkInfo.requireSignature && !options.allowUnsigned && !(record && record.issuer_signature)) {
+    problems.push(validationProblem('signature_required', 'signature',
+      `Issuer Signature is required for registrations on ${networkInfo.name} (Network ID: ${networkInfo.id})`,
+      'Sign the registration with `npm run register -- --sign` and add the signature to the issue'));
   }
 
-  console.log(`Token type: ${tokenType}`);
-  console.log(`Metadata digest: ${metadata.digest().toString('hex')}`);
+  // A request for a registered Color ID succeeds again when nothing changed, and adds a newly
+  // supplied Issuer Signature to the record
+  if (registered) {
+    const registeredOn = `${networkInfo.name} (Network ID: ${networkInfo.id})`;
+    const hint = 'Registered tokens can only be changed with the Update Token Info and Deprecate Token forms';
+    const differences = record && diffRegistration(record, {
+      payment_base: data.payment_base,
+      outpoint: hasOutPoint ? { txid: data.outpoint_txid, index: parseInt(data.outpoint_index, 10) } : undefined,
+      metadata: metadataFields
+    });
+
+    if (differences && differences.length === 0) {
+      if (problems.length > 0) {
+        throw registrationFailure(problems);
+      }
+
+      const result = {
+        colorId,
+        tokenType,
+        networkInfo,
+        metadata,
+        p2cPubkey: record.registration ? record.registration.p2c_pubkey : null,
+        tokenDir,
+        tokenPath,
+        tokenData: record,
+        assets: [],
+        warnings: [],
+        notices: [],
+        unchanged: true
+      };
+      if (issuerSignature && canonicalize(issuerSignature) !== canonicalize(record.issuer_signature)) {
+        log(`Color ID ${colorId} is already registered with the same Payment Base, OutPoint and metadata: adding the Issuer Signature`);
+        return { ...result, tokenData: withIssuerSignature(record, issuerSignature), unchanged: false, signatureAdded: true };
+      }
+      log(`Color ID ${colorId} is already registered with the same Payment Base, OutPoint and metadata`);
+      return result;
+    }
+
+    if (differences) {
+      problems.push(validationProblem('already_registered', 'color_id',
+        `Color ID ${colorId} is already registered on ${registeredOn} with different ${differences.map(d => d.field).join(', ')}`,
+        hint, formatDifferences(differences)));
+    } else {
+      problems.push(validationProblem('already_registered', 'color_id', `Color ID ${colorId} is already registered on ${registeredOn}`, hint));
+    }
+  }
 
   // Verify Color ID
-  let colorIdVerification;
-  if (prefix === 'c1') {
-    // Reissuable: verify using Payment Base
-    console.log('Verifying Color ID for Reissuable token...');
-    colorIdVerification = verifyReissuableColorId(metadata, data.payment_base, colorId);
-  } else {
-    // Non-Reissuable or NFT: verify using OutPoint
-    console.log('Verifying Color ID for Non-Reissuable/NFT token...');
-    const outPointIndex = parseInt(data.outpoint_index, 10);
-    colorIdVerification = verifyOutPointColorId(metadata, data.outpoint_txid, outPointIndex, colorId);
-  }
-
-  if (!colorIdVerification.match) {
-    const errorMessage = `Color ID verification failed.\n` +
-      `- Expected: ${colorIdVerification.expected}\n` +
-      `- Derived:  ${colorIdVerification.derived}\n` +
-      `- Metadata digest: ${metadata.digest().toString('hex')}\n\n` +
-      `Please ensure the metadata JSON and OutPoint exactly match what was used to derive the Color ID.\n\n` +
-      `Canonical form used for derivation:\n${metadata.toCanonical()}`;
-    console.error(errorMessage);
-    fs.writeFileSync('validation-error.txt', errorMessage);
-    process.exit(1);
+  if (metadata && (hasOutPoint ? outPointValid : paymentBaseValid)) {
+    let colorIdVerification;
+    if (prefix === 'c1') {
+      // Reissuable: verify using Payment Base
+      log('Verifying Color ID for Reissuable token...');
+      colorIdVerification = verifyReissuableColorId(metadata, data.payment_base, colorId);
+    } else {
+      // Non-Reissuable or NFT: verify using OutPoint
+      log('Verifying Color ID for Non-Reissuable/NFT token...');
+      const outPointIndex = parseInt(data.outpoint_index, 10);
+      colorIdVerification = verifyOutPointColorId(metadata, data.outpoint_txid, outPointIndex, colorId);
+    }
+
+    if (colorIdVerification.match) {
+      log('Color ID verified successfully');
+    } else {
+      const source = hasOutPoint ? 'OutPoint' : 'Payment Base';
+      problems.push(validationProblem('color_id_mismatch', 'color_id',
+        `Color ID verification failed: the metadata and ${source} derive ${colorIdVerification.derived}`,
+        `Ensure the metadata JSON and ${source} exactly match what was used to derive the Color ID`,
+        `Expected: ${colorIdVerification.expected}\n` +
+        `Derived:  ${colorIdVerification.derived}\n` +
+        `Metadata digest: ${metadata.digest().toString('hex')}\n\n` +
+        `Canonical form used for derivation:\n${metadata.toCanonical()}`));
+    }
   }
 
-  console.log('Color ID verified successfully');
+  // Chain backend, created on first use
+  let backend = null;
+  const chainBackend = () => {
+    if (!backend) {
+      backend = options.backend || createChainBackend(networkInfo, process.env, log);
+      log(`Using chain backend: ${backend.name}`);
+    }
+    return backend;
+  };
 
   // For c2/c3, also verify the OutPoint scriptPubkey matches P2C derived scriptPubkey
-  if (prefix === 'c2' || prefix === 'c3') {
-    console.log('Verifying OutPoint scriptPubkey matches P2C derived scriptPubkey...');
+  let outpointBlock = null;
+  if (networkInfo && metadata && paymentBaseValid && outPointValid) {
+    log('Verifying OutPoint scriptPubkey matches P2C derived scriptPubkey...');
+    const outPointIndex = parseInt(data.outpoint_index, 10);
+    let scriptVerification = null;
     try {
-      const scriptVerification = await verifyOutPointScriptPubkey(
-        metadata,
-        data.payment_base,
-        networkInfo.explorerApi,
-        data.outpoint_txid,
-        parseInt(data.outpoint_index, 10)
-      );
-
-      if (!scriptVerification.match) {
-        const errorMessage = `OutPoint scriptPubkey verification failed.\n` +
-          `- Expected (from P2C): ${scriptVerification.expected}\n` +
-          `- Actual (from chain): ${scriptVerification.actual}\n` +
-          `- P2C pubkey: ${scriptVerification.p2cPubkey}\n\n` +
-          `The OutPoint's scriptPubkey does not match the P2C address derived from Payment Base and Metadata.`;
-        console.error(errorMessage);
-        fs.writeFileSync('validation-error.txt', errorMessage);
-        process.exit(1);
+      chainBackend();
+      scriptVerification = await verifyOutPointScriptPubkey(metadata, data.payment_base, backend, data.outpoint_txid, outPointIndex);
+    } catch (err) {
+      if (err.notFound) {
+        problems.push(validationProblem('outpoint_not_found', 'outpoint_txid',
+          `Transaction not found: OutPoint ${data.outpoint_txid}:${outPointIndex} was not found on ${networkInfo.name}: ${err.message}`,
+          'Check the OutPoint Txid and Index, and that the issuance transaction has been broadcast'));
+      } else {
+        problems.push(lookupFailure('outpoint_lookup_failed', 'outpoint_txid', 'verify OutPoint scriptPubkey', err));
       }
+    }
 
-      console.log('OutPoint scriptPubkey verified successfully');
-      console.log(`  P2C pubkey: ${scriptVerification.p2cPubkey}`);
-    } catch (err) {
-      const errorMessage = `Failed to verify OutPoint scriptPubkey: ${err.message}`;
-      console.error(errorMessage);
-      fs.writeFileSync('validation-error.txt', errorMessage);
-      process.exit(1);
+    if (scriptVerification && !scriptVerification.match) {
+      problems.push(validationProblem('script_pubkey_mismatch', 'outpoint_txid',
+        'OutPoint scriptPubkey verification failed: the output does not pay to the P2C address derived from Payment Base and Metadata',
+        'Check that the Payment Base and metadata are the ones used to issue the token',
+        `Expected (from P2C): ${scriptVerification.expected}\n` +
+        `Actual (from chain): ${scriptVerification.actual}\n` +
+        `P2C pubkey: ${scriptVerification.p2cPubkey}`));
+    } else if (scriptVerification) {
+      log('OutPoint scriptPubkey verified successfully');
+      log(`  P2C pubkey: ${scriptVerification.p2cPubkey}`);
+
+      // Record the block of the OutPoint transaction when the backend can tell it
+      if (typeof backend.getTransactionStatus === 'function') {
+        try {
+          const txStatus = await backend.getTransactionStatus(data.outpoint_txid);
+          if (txStatus.confirmed) {
+            outpointBlock = { height: txStatus.blockHeight, hash: txStatus.blockHash };
+          }
+        } catch (err) {
+          log(`Could not look up the OutPoint block: ${err.message}`);
+        }
+      }
     }
   }
 
-  const networkId = networkInfo.id;
-
-  // Check for existing token in network-specific directory
-  const tokenDir = path.join('docs', 'tokens', networkId);
-  const tokenPath = path.join(tokenDir, `${colorId}.json`);
+  // Check that the token has been issued and its issuance is confirmed (for a verified Color ID only)
+  const colorIdProblems = problems.some(p => p.stage === 'color_id' || p.stage === 'outpoint');
+  const notices = [];
+  if (networkInfo && metadata && !colorIdProblems && !invalidFields.has('payment_base') && !options.skipIssuanceCheck) {
+    if (!canCheckIssuance(chainBackend())) {
+      // Networks may use an RPC node without an explorerApi: register, but say what was not checked
+      notices.push(`The issuance of Color ID ${colorId} was not checked: the ${backend.name} backend of ${networkInfo.name} ` +
+        'cannot look up token issuances without an explorerApi');
+      log(notices[0]);
+    } else {
+      log(`Checking the issuance of ${colorId} (${networkInfo.minConfirmations} confirmations required)...`);
+      try {
+        const issuanceProblems = await checkIssuance(backend, networkInfo, colorId);
+        problems.push(...issuanceProblems);
+        if (issuanceProblems.length === 0) {
+          log('Token issuance verified successfully');
+        }
+      } catch (err) {
+        problems.push(lookupFailure('issuance_lookup_failed', 'color_id', `look up the issuance of Color ID ${colorId}`, err));
+      }
+    }
+  }
 
-  // Ensure directory exists
-  if (!fs.existsSync(tokenDir)) {
-    fs.mkdirSync(tokenDir, { recursive: true });
+  // Compare against tokens already registered on the network (impersonation, symbol collisions)
+  let warnings = [];
+  if (networkInfo && metadata) {
+    log('Checking for similar registered tokens...');
+    const registeredTokens = readRegisteredTokens(tokenDir, (file, message) => log(`Skipping ${file} in the similar token check: ${message}`))
+      .map(token => ({ ...token, issuer_verified: registeredSignatureVerifies(networkInfo, token) }));
+    warnings = findImpersonationRisks(metadataFields, data.payment_base, registeredTokens, Boolean(issuerSignature));
+    if (warnings.length > 0 && networkInfo.similarTokenPolicy === 'fail') {
+      for (const warning of warnings) {
+        problems.push(validationProblem('similar_token', 'metadata',
+          `Registration conflicts with tokens registered on ${networkInfo.name}: ${warning}`,
+          'Choose a name and symbol that cannot be confused with registered tokens'));
+      }
+    }
   }
 
-  if (fs.existsSync(tokenPath)) {
-    const errorMessage = `Color ID ${colorId} is already registered on ${networkInfo.name} (Network ID: ${networkId})`;
-    console.error(errorMessage);
-    fs.writeFileSync('validation-error.txt', errorMessage);
-    process.exit(1);
+  if (problems.length > 0) {
+    throw registrationFailure(problems);
   }
 
   // Build token data with verification info and metadata
   const tokenData = {
     payment_base: data.payment_base,
   };
-  if (prefix === 'c2' || prefix === 'c3') {
+  if (hasOutPoint) {
     tokenData.outpoint = {
       txid: data.outpoint_txid,
       index: parseInt(data.outpoint_index, 10)
     };
   }
   tokenData.metadata = metadataFields;
+  if (issuerSignature) {
+    tokenData.issuer_signature = issuerSignature;
+  }
+  tokenData.registration = buildProvenance(networkInfo, metadata, data.payment_base, data.issue_number, outpointBlock);
+
+  // Download, validate and mirror icon/image assets
+  let assets;
+  try {
+    assets = await prepareAssets(tokenData, { log, ...options.assets });
+  } catch (err) {
+    throw registrationFailure([validationProblem('asset_invalid', 'metadata', `Asset validation failed: ${err.message}`,
+      'Icon and image URLs must be reachable over HTTPS and serve an image within the size limits')]);
+  }
+  const assetRecords = applyAssets(tokenData, assets);
+  if (assetRecords) {
+    tokenData.assets = assetRecords;
+  }
+
+  return {
+    colorId,
+    tokenType,
+    networkInfo,
+    metadata,
+    p2cPubkey: tokenData.registration.p2c_pubkey,
+    tokenDir,
+    tokenPath,
+    tokenData,
+    assets,
+    warnings,
+    notices
+  };
+}
+
+/**
+ * Write the token file (and mirrored assets) for a validated registration
+ */
+function writeTokenFile(registration) {
+  writeAssets(registration.assets);
+
+  // Ensure directory exists
+  if (!fs.existsSync(registration.tokenDir)) {
+    fs.mkdirSync(registration.tokenDir, { recursive: true });
+  }
+
+  const jsonContent = JSON.stringify(registration.tokenData, null, 2);
+  fs.writeFileSync(registration.tokenPath, jsonContent + '\n');
+  console.log(`Token metadata written to ${registration.tokenPath}`);
+}
+
+const CLI_USAGE = `Usage: npm run register -- [options]
+
+Options:
+  --network <network>      Network label (${NETWORKS.map(n => n.label).join(', ')}), network ID or issue form label
+  --color-id <colorId>     Token Color ID (c1/c2/c3 prefix + 64 hex characters)
+  --payment-base <pubkey>  Payment Base public key (33 bytes compressed, hex)
+  --metadata <file>        Path to the TIP-0020 metadata JSON file
+  --outpoint <txid:index>  Issuance OutPoint (required for Non-Reissuable/NFT tokens)
+  --issue-number <number>  Registration issue number (required with --signature or --sign)
+  --signature <hex>        Issuer Signature by the Payment Base key
+  --sign                   Sign the registration with PAYMENT_BASE_PRIVATE_KEY (WIF or hex)
+                           and print the Issuer Signature (implies --dry-run)
+  --skip-issuance-check    Skip the on-chain issuance and confirmation checks
+                           (e.g. to sign a registration before the token is issued)
+  --dry-run                Validate and print the report without writing any files
+  --help                   Show this help`;
+
+const CLI_VALUE_OPTIONS = {
+  '--network': 'network',
+  '--color-id': 'colorId',
+  '--payment-base': 'paymentBase',
+  '--metadata': 'metadata',
+  '--outpoint': 'outpoint',
+  '--issue-number': 'issueNumber',
+  '--signature': 'signature'
+};
+
+/**
+ * Parse command line arguments for local CLI mode
+ *
+ * flagOptions maps additional boolean flags to option names.
+ */
+function parseCliArgs(argv, valueOptions = CLI_VALUE_OPTIONS, flagOptions = {}) {
+  const options = { dryRun: false, sign: false, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=')
+      ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+      : [arg, undefined];
+
+    if (flag === '--dry-run') {
+      options.dryRun = true;
+    } else if (flag === '--sign') {
+      options.sign = true;
+      options.dryRun = true;
+    } else if (flag === '--help' || flag === '-h') {
+      options.help = true;
+    } else if (flagOptions[flag]) {
+      options[flagOptions[flag]] = true;
+    } else if (valueOptions[flag]) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined || value.startsWith('--')) {
+        throw new Error(`Option ${flag} requires a value`);
+      }
+      options[valueOptions[flag]] = value;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Resolve a CLI network option (label, network ID or issue form label) to the issue form label
+ */
+function resolveNetworkOption(value) {
+  for (const info of NETWORKS) {
+    if (value === info.label || value === info.id || value === networkFormLabel(info)) {
+      return networkFormLabel(info);
+    }
+  }
+  return value;
+}
+
+/**
+ * Convert CLI options into the same shape as a parsed issue body
+ */
+function cliOptionsToIssueData(options) {
+  const data = {};
+
+  if (options.network) {
+    data.network = resolveNetworkOption(options.network);
+  }
+  if (options.colorId) {
+    data.color_id = options.colorId;
+  }
+  if (options.paymentBase) {
+    data.payment_base = options.paymentBase;
+  }
+  if (options.metadata) {
+    data.metadata = fs.readFileSync(options.metadata, 'utf8');
+  }
+  if (options.outpoint) {
+    const separator = options.outpoint.lastIndexOf(':');
+    if (separator === -1) {
+      data.outpoint_txid = options.outpoint;
+    } else {
+      data.outpoint_txid = options.outpoint.slice(0, separator);
+      data.outpoint_index = options.outpoint.slice(separator + 1);
+    }
+  }
+  if (options.issueNumber) {
+    data.issue_number = options.issueNumber;
+  }
+  if (options.signature) {
+    data.signature = options.signature;
+  }
+
+  return data;
+}
+
+/**
+ * Print the registration report for local CLI mode
+ */
+function printRegistrationReport(registration) {
+  console.log('\n=== Registration Report ===\n');
+  console.log(`Network:         ${registration.networkInfo.name} (Network ID: ${registration.networkInfo.id})`);
+  console.log(`Color ID:        ${registration.colorId}`);
+  console.log(`Token type:      ${registration.tokenType}`);
+  console.log(`Metadata digest: ${registration.metadata.digest().toString('hex')}`);
+  if (registration.p2cPubkey) {
+    console.log(`P2C pubkey:      ${registration.p2cPubkey}`);
+  }
+  if (registration.tokenData.issuer_signature) {
+    console.log(`Issuer signed:   yes (issue #${registration.tokenData.issuer_signature.issue_number})`);
+  }
+  for (const asset of registration.assets) {
+    console.log(`Asset ${asset.field}:${' '.repeat(Math.max(1, 10 - asset.field.length))}${asset.record.path} (${asset.record.content_type}, ${asset.record.width}x${asset.record.height}, ${asset.record.size} bytes)`);
+  }
+  for (const warning of registration.warnings) {
+    console.log(`Warning:         ${warning}`);
+  }
+  for (const notice of registration.notices) {
+    console.log(`Not checked:     ${notice}`);
+  }
+  console.log(`Token file:      ${registration.tokenPath}`);
+  console.log('\nToken record:');
+  console.log(JSON.stringify(registration.tokenData, null, 2));
+}
+
+/**
+ * Sign a validated registration with PAYMENT_BASE_PRIVATE_KEY
+ */
+function signRegistration(registration, issueNumber) {
+  const privateKey = process.env.PAYMENT_BASE_PRIVATE_KEY;
+  if (!privateKey) {
+    throw new RegistrationError('PAYMENT_BASE_PRIVATE_KEY environment variable is not set');
+  }
+
+  const message = buildRegistrationMessage(registration.networkInfo, registration.colorId, registration.metadata, issueNumber);
+  let signed;
+  try {
+    signed = signMessage(message, privateKey);
+  } catch (err) {
+    throw new RegistrationError(`Invalid PAYMENT_BASE_PRIVATE_KEY: ${err.message}`);
+  }
+
+  if (signed.publicKey !== registration.tokenData.payment_base.toLowerCase()) {
+    throw new RegistrationError('PAYMENT_BASE_PRIVATE_KEY does not match the Payment Base');
+  }
+
+  registration.tokenData.issuer_signature = {
+    issue_number: parseInt(issueNumber, 10),
+    signature: signed.signature
+  };
+}
+
+/**
+ * Local CLI mode: validate from files and flags
+ */
+async function runCli(argv) {
+  let options;
+  try {
+    options = parseCliArgs(argv, CLI_VALUE_OPTIONS, { '--skip-issuance-check': 'skipIssuanceCheck' });
+  } catch (err) {
+    console.error(`${err.message}\n\n${CLI_USAGE}`);
+    process.exit(1);
+  }
+
+  if (options.help) {
+    console.log(CLI_USAGE);
+    return;
+  }
+
+  let registration;
+  try {
+    const data = cliOptionsToIssueData(options);
+    if (options.sign && !data.issue_number) {
+      throw new RegistrationError('--issue-number is required with --sign');
+    }
+    registration = await validateRegistration(data, { allowUnsigned: options.sign, skipIssuanceCheck: options.skipIssuanceCheck });
+    if (options.sign) {
+      signRegistration(registration, data.issue_number);
+    }
+  } catch (err) {
+    console.error(`\nRegistration check failed:\n${err.message}`);
+    process.exit(exitCodeFor(err.problems || []));
+  }
+
+  printRegistrationReport(registration);
+
+  if (registration.warnings.length > 0) {
+    console.log('\nSimilar tokens are registered: the registration issue will need maintainer approval.');
+  }
+
+  if (options.sign) {
+    console.log('\nAdd this value to the "Issuer Signature (optional)" field of the registration issue:');
+    console.log(registration.tokenData.issuer_signature.signature);
+  }
+
+  if (registration.unchanged) {
+    console.log('\nThe token is already registered with identical data: nothing to write.');
+    return;
+  }
+  if (registration.signatureAdded) {
+    console.log('\nThe token is already registered with identical data: the Issuer Signature will be added to its record.');
+  }
+
+  if (options.dryRun) {
+    console.log('\nDry run: all checks passed, no files were written.');
+    return;
+  }
+
+  writeTokenFile(registration);
+  console.log('Registration successful!');
+}
+
+/**
+ * GitHub Actions mode: validate the issue body and write the token file
+ */
+async function runIssue() {
+  const issueBody = process.env.ISSUE_BODY;
 
-  const jsonContent = JSON.stringify(tokenData, null, 2);
-  fs.writeFileSync(tokenPath, jsonContent + '\n');
-  console.log(`Token metadata written to ${tokenPath}`);
+  if (!issueBody) {
+    console.error('ISSUE_BODY environment variable is not set');
+    process.exit(1);
+  }
+
+  console.log('Parsing issue body...');
+  const data = parseIssueBody(issueBody);
+  if (process.env.ISSUE_NUMBER) {
+    data.issue_number = process.env.ISSUE_NUMBER;
+  }
+  console.log('Parsed data:', JSON.stringify(data, null, 2));
+
+  let registration;
+  try {
+    registration = await validateRegistration(data);
+  } catch (err) {
+    if (!(err instanceof RegistrationError)) {
+      throw err;
+    }
+    console.error(err.message);
+    const result = buildValidationResult(err.problems);
+    fs.writeFileSync('validation-result.json', JSON.stringify(result, null, 2) + '\n');
+    fs.writeFileSync('validation-error.txt', renderProblemTable(err.problems));
+    process.exit(result.exit_code);
+  }
+
+  fs.writeFileSync('validation-result.json',
+    JSON.stringify(buildValidationResult([], [...registration.warnings, ...registration.notices]), null, 2) + '\n');
+
+  // An identical registration succeeds again without rewriting the token file
+  if (registration.unchanged) {
+    fs.writeFileSync('token-network.txt', registration.networkInfo.id);
+    fs.writeFileSync('token-network-name.txt', registration.networkInfo.name);
+    fs.writeFileSync('token-color-id.txt', registration.colorId);
+    fs.writeFileSync('token-unchanged.txt', registration.colorId);
+    console.log('Token is already registered with identical data');
+    return;
+  }
+
+  // Similar tokens hold the registration until a maintainer approves it
+  if (registration.warnings.length > 0 && process.env.REGISTRATION_APPROVED !== 'true') {
+    const warnings = registration.warnings.map(w => `- ${w}`).join('\n');
+    console.log(`Registration needs maintainer approval:\n${warnings}`);
+    fs.writeFileSync('registration-warnings.txt', warnings);
+    return;
+  }
+
+  writeTokenFile(registration);
 
   // Write network info for GitHub Actions
-  fs.writeFileSync('token-network.txt', networkId);
-  fs.writeFileSync('token-network-name.txt', networkInfo.name);
-  fs.writeFileSync('token-color-id.txt', colorId);
+  fs.writeFileSync('token-network.txt', registration.networkInfo.id);
+  fs.writeFileSync('token-network-name.txt', registration.networkInfo.name);
+  fs.writeFileSync('token-color-id.txt', registration.colorId);
+  if (registration.signatureAdded) {
+    fs.writeFileSync('token-signature-added.txt', registration.colorId);
+  }
+  if (registration.notices.length > 0) {
+    fs.writeFileSync('registration-notices.txt', registration.notices.map(n => `- ${n}`).join('\n'));
+  }
 
   console.log('Registration successful!');
 }
 
-main().catch(err => {
-  console.error('Unexpected error:', err);
-  fs.writeFileSync('validation-error.txt', `Unexpected error: ${err.message}`);
-  process.exit(1);
-});
+/**
+ * Main execution
+ */
+async function main() {
+  const args = process.argv.slice(2);
+
+  // Any command line arguments select local CLI mode
+  if (args.length > 0) {
+    await runCli(args);
+    return;
+  }
+
+  try {
+    await runIssue();
+  } catch (err) {
+    console.error('Unexpected error:', err);
+    fs.writeFileSync('validation-error.txt', `Unexpected error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Unexpected error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  COLOR_ID_PATTERN,
+  PAYMENT_BASE_PATTERN,
+  TXID_PATTERN,
+  ISSUE_NUMBER_PATTERN,
+  COLOR_ID_PREFIX_TO_TYPE,
+  parseIssueBody,
+  parseNetwork,
+  parseCliArgs,
+  resolveNetworkOption,
+  createMetadata,
+  parseMetadataJson,
+  checkInputFields,
+  validateInputFields,
+  verifyReissuableColorId,
+  verifyOutPointColorId,
+  verifyOutPointScriptPubkey,
+  canCheckIssuance,
+  checkIssuance,
+  buildRegistrationMessage,
+  RegistrationError,
+  registrationFailure,
+  validateRegistration,
+  writeTokenFile
+};
@@ -0,0 +1,245 @@
+/**
+ * Registry client for wallets
+ *
+ * Fetches token records from the published registry and verifies every record locally
+ * before returning it: the Color ID is re-derived from the stored payment_base / outpoint
+ * and metadata, and recorded issuer signatures, status records and extensions are checked
+ * against the Payment Base (the checks of verify-registry.js). The Color ID of c2/c3 tokens
+ * only covers the OutPoint, so their metadata is bound by checking on chain that the OutPoint
+ * pays to the P2C address of payment_base and metadata (the check of register-token.js).
+ * A tampered record is rejected, so the registry host does not have to be trusted.
+ *
+ * Responses are cached for a TTL and revalidated with ETag / If-None-Match afterwards.
+ */
+
+const { COLOR_ID_PATTERN, COLOR_ID_PREFIX_TO_TYPE, createMetadata, verifyOutPointScriptPubkey } = require('./register-token');
+const { verifyTokenFile } = require('./verify-registry');
+const { NETWORKS, findNetwork } = require('./networks');
+const { SITE_URL } = require('./site');
+
+const DEFAULT_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Error raised when a registry response cannot be fetched or fails verification
+ */
+class TokenRegistryError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = 'TokenRegistryError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Resolve a network label (e.g. "testnet") or network ID to a network ID
+ */
+function resolveNetworkId(network) {
+  const value = String(network);
+  const known = NETWORKS.find(n => n.label === value || n.id === value);
+  if (known) {
+    return known.id;
+  }
+  if (/^[0-9]+$/.test(value)) {
+    return value;
+  }
+  throw new TokenRegistryError(`Unknown network: ${network}`);
+}
+
+class TokenRegistryClient {
+  /**
+   * options.baseUrl   Registry site (default: the published GitHub Pages site)
+   * options.fetch     fetch implementation (default: global fetch)
+   * options.ttl       Milliseconds a response is used without revalidation (default 5 minutes)
+   * options.chainBackend Returns the chain backend for a network ID, used to verify c2/c3
+   *                   OutPoints (default: the network's Esplora explorer, read with options.fetch)
+   * options.onRejected Called with the TokenRegistryError of each record listTokens leaves out
+   */
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || SITE_URL).replace(/\/+$/, '');
+    this.fetch = options.fetch || globalThis.fetch;
+    this.ttl = options.ttl !== undefined ? options.ttl : DEFAULT_TTL_MS;
+    this.chainBackend = options.chainBackend || (networkId => this.explorerBackend(networkId));
+    this.onRejected = options.onRejected || (() => {});
+    this.now = options.now || Date.now;
+    this.cache = new Map();
+
+    if (typeof this.fetch !== 'function') {
+      throw new TypeError('No fetch implementation available: pass options.fetch');
+    }
+  }
+
+  /**
+   * Fetch a registry file, returning the parsed value or null when it does not exist
+   *
+   * parse turns the response text into the cached value (and may throw to reject it).
+   */
+  async request(filePath, parse) {
+    const url = `${this.baseUrl}/${filePath}`;
+    const cached = this.cache.get(url);
+
+    if (cached && this.now() - cached.fetchedAt < this.ttl) {
+      return cached.value;
+    }
+
+    const headers = cached && cached.etag ? { 'If-None-Match': cached.etag } : {};
+    let res;
+    try {
+      res = await this.fetch(url, { headers });
+    } catch (err) {
+      throw new TokenRegistryError(`Failed to fetch ${url}: ${err.message}`);
+    }
+
+    if (res.status === 304 && cached) {
+      cached.fetchedAt = this.now();
+      return cached.value;
+    }
+    if (res.status === 404) {
+      this.cache.delete(url);
+      return null;
+    }
+    if (!res.ok) {
+      throw new TokenRegistryError(`Failed to fetch ${url}: HTTP ${res.status}`);
+    }
+
+    const value = await parse(await res.text());
+    this.cache.set(url, {
+      etag: res.headers && res.headers.get('etag'),
+      fetchedAt: this.now(),
+      value
+    });
+    return value;
+  }
+
+  /**
+   * Chain backend reading OutPoints from the Esplora explorer of a network in networks.json
+   *
+   * Requests go through options.fetch like the registry requests. Networks without an
+   * explorerApi need options.chainBackend.
+   */
+  explorerBackend(networkId) {
+    const networkInfo = findNetwork(networkId);
+    if (!networkInfo || !networkInfo.explorerApi) {
+      throw new Error(`No explorer for network ${networkId}: pass options.chainBackend`);
+    }
+    const explorerApi = networkInfo.explorerApi;
+
+    return {
+      name: `Esplora (${explorerApi})`,
+      getOutputScriptPubkey: async (txid, index) => {
+        const url = `${explorerApi}/tx/${txid}`;
+        const res = await this.fetch(url, { headers: { Accept: 'application/json' } });
+        if (!res.ok) {
+          throw new Error(`${url} returned HTTP ${res.status}`);
+        }
+        const tx = JSON.parse(await res.text());
+        const output = tx && Array.isArray(tx.vout) ? tx.vout[index] : null;
+        if (!output || typeof output.scriptpubkey !== 'string') {
+          throw new Error(`Output index ${index} not found in transaction ${txid}`);
+        }
+        return Buffer.from(output.scriptpubkey, 'hex');
+      }
+    };
+  }
+
+  /**
+   * Get a verified token record, or null when the token is not registered
+   *
+   * Throws TokenRegistryError when the record fails verification.
+   */
+  async getToken(network, colorId) {
+    const networkId = resolveNetworkId(network);
+    const id = String(colorId || '').toLowerCase();
+    if (!COLOR_ID_PATTERN.test(id)) {
+      throw new TokenRegistryError(`Invalid Color ID: ${colorId}`);
+    }
+
+    return this.request(`tokens/${networkId}/${id}.json`, async content => {
+      const problems = await this.verifyRecord(networkId, id, content);
+      if (problems.length > 0) {
+        throw new TokenRegistryError(`Token record ${id} failed verification:\n` +
+          problems.map(p => `- ${p}`).join('\n'), problems);
+      }
+      return {
+        network_id: networkId,
+        color_id: id,
+        token_type: COLOR_ID_PREFIX_TO_TYPE[id.substring(0, 2)],
+        ...JSON.parse(content)
+      };
+    });
+  }
+
+  /**
+   * Verify a token record, returning a list of problems
+   */
+  async verifyRecord(networkId, colorId, content) {
+    const problems = verifyTokenFile(networkId, `${colorId}.json`, content);
+    if (problems.length > 0 || colorId.startsWith('c1')) {
+      return problems;
+    }
+
+    const tokenData = JSON.parse(content);
+    try {
+      const verification = await verifyOutPointScriptPubkey(
+        createMetadata(colorId, tokenData.metadata),
+        tokenData.payment_base,
+        this.chainBackend(networkId),
+        tokenData.outpoint.txid,
+        tokenData.outpoint.index
+      );
+      if (!verification.match) {
+        problems.push('OutPoint scriptPubkey does not match the P2C address of payment_base and metadata');
+      }
+    } catch (err) {
+      problems.push(`Failed to verify OutPoint scriptPubkey: ${err.message}`);
+    }
+    return problems;
+  }
+
+  /**
+   * List the verified token records of a network
+   *
+   * The network index only names the tokens: every record is fetched and verified with
+   * getToken. Records that fail verification are left out and passed to onRejected.
+   */
+  async listTokens(network) {
+    const networkId = resolveNetworkId(network);
+    const index = await this.request(`tokens/${networkId}/index.json`, content => {
+      try {
+        return JSON.parse(content);
+      } catch (err) {
+        throw new TokenRegistryError(`Invalid network index for ${networkId}: ${err.message}`);
+      }
+    });
+    if (!index) {
+      return [];
+    }
+
+    const tokens = [];
+    for (const entry of index.tokens || []) {
+      try {
+        const token = await this.getToken(networkId, entry.color_id);
+        if (token) {
+          tokens.push(token);
+        }
+      } catch (err) {
+        if (!(err instanceof TokenRegistryError)) {
+          throw err;
+        }
+        this.onRejected(err);
+      }
+    }
+    return tokens;
+  }
+
+  /**
+   * Drop all cached responses
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+module.exports = {
+  TokenRegistryClient,
+  TokenRegistryError
+};
@@ -0,0 +1,12 @@
+/**
+ * Published registry site
+ *
+ * Kept apart from update-index.js so that library code can name the site without loading
+ * the page generator.
+ */
+
+const SITE_URL = 'https://chaintope.github.io/tapyrus-token-registry';
+
+module.exports = {
+  SITE_URL
+};
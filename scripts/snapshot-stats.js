@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { NETWORKS } = require('./networks');
+const { parseNetwork, parseCliArgs, resolveNetworkOption } = require('./register-token');
+const { readTokenOwners } = require('./collections');
+const { createChainBackend } = require('./chain-backend');
+
+const TOKENS_DIR = path.join('docs', 'tokens');
+const STATS_FILE = 'stats.json';
+
+/**
+ * Read the stats snapshot of a network
+ *
+ * Returns { network_id, updated_at, tokens } where tokens maps Color IDs to
+ * { issued, burned, supply, holders, updated_at }. Amounts are decimal strings in base units.
+ */
+function readStats(networkId, tokensDir = TOKENS_DIR) {
+  const statsPath = path.join(tokensDir, networkId, STATS_FILE);
+  if (!fs.existsSync(statsPath)) {
+    return { network_id: networkId, updated_at: null, tokens: {} };
+  }
+  const stats = JSON.parse(fs.readFileSync(statsPath, 'utf8'));
+  return { network_id: networkId, updated_at: stats.updated_at || null, tokens: stats.tokens || {} };
+}
+
+/**
+ * Write the stats snapshot of a network
+ */
+function writeStats(stats, tokensDir = TOKENS_DIR) {
+  const statsPath = path.join(tokensDir, stats.network_id, STATS_FILE);
+  fs.mkdirSync(path.dirname(statsPath), { recursive: true });
+  fs.writeFileSync(statsPath, JSON.stringify(stats, null, 2) + '\n');
+  return statsPath;
+}
+
+/**
+ * Format an amount in base units for display, using the token's decimals
+ *
+ * e.g. formatAmount('123456789', 2) is '1,234,567.89'. Trailing zeros of the fraction are dropped,
+ * and a negative amount keeps its sign in front of the digits.
+ */
+function formatAmount(amount, decimals = 0) {
+  const value = BigInt(amount);
+  const sign = value < 0n ? '-' : '';
+  const digits = (value < 0n ? -value : value).toString().padStart(decimals + 1, '0');
+  const integer = digits.slice(0, digits.length - decimals).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return sign + (fraction ? `${integer}.${fraction}` : integer);
+}
+
+/**
+ * Look up the stats of a color on a chain backend
+ */
+async function fetchColorStats(backend, colorId, updatedAt) {
+  const { issued, burned, holders } = await backend.getColorStats(colorId);
+  for (const [name, value] of [['issued', issued], ['burned', burned]]) {
+    if (!/^\d+$/.test(String(value))) {
+      throw new Error(`${backend.name} returned an invalid ${name} amount: ${value}`);
+    }
+  }
+  if (holders !== null && !(Number.isInteger(holders) && holders >= 0)) {
+    throw new Error(`${backend.name} returned an invalid holder count: ${holders}`);
+  }
+  if (BigInt(burned) > BigInt(issued)) {
+    throw new Error(`${backend.name} returned a burned amount (${burned}) larger than the issued amount (${issued})`);
+  }
+
+  return {
+    issued: String(issued),
+    burned: String(burned),
+    supply: (BigInt(issued) - BigInt(burned)).toString(),
+    holders,
+    updated_at: updatedAt
+  };
+}
+
+/**
+ * Check whether two stats records of a token have the same amounts and holder count
+ */
+function sameStats(a, b) {
+  return !!a && !!b && ['issued', 'burned', 'supply', 'holders'].every(key => a[key] === b[key]);
+}
+
+/**
+ * Take a stats snapshot of every registered token of a network
+ *
+ * A token whose lookup fails, or whose file cannot be read, keeps its previous stats. updated_at only moves, for a token and
+ * for the file, when the stats change, so a snapshot of an unchanged chain rewrites nothing.
+ * Returns { stats, failures } where failures are { colorId, error } records.
+ */
+async function snapshotNetwork(networkInfo, backend, tokensDir = TOKENS_DIR) {
+  if (typeof backend.getColorStats !== 'function') {
+    throw new Error(`The ${backend.name} backend of ${networkInfo.name} cannot look up token stats`);
+  }
+
+  const previous = readStats(networkInfo.id, tokensDir);
+  const tokens = {};
+  const failures = [];
+  // An unreadable token file is reported like a failed lookup, and keeps its previous stats
+  const colorIds = readTokenOwners(networkInfo.id, tokensDir, (file, message) => {
+    const colorId = file.replace('.json', '');
+    failures.push({ colorId, error: `Unreadable token file: ${message}` });
+    if (previous.tokens[colorId]) {
+      tokens[colorId] = previous.tokens[colorId];
+    }
+  }).map(token => token.color_id).sort();
+  const updatedAt = new Date().toISOString();
+
+  for (const colorId of colorIds) {
+    try {
+      const current = await fetchColorStats(backend, colorId, updatedAt);
+      tokens[colorId] = sameStats(current, previous.tokens[colorId]) ? previous.tokens[colorId] : current;
+    } catch (err) {
+      failures.push({ colorId, error: err.message });
+      if (previous.tokens[colorId]) {
+        tokens[colorId] = previous.tokens[colorId];
+      }
+    }
+  }
+
+  const unchanged = previous.updated_at !== null &&
+    Object.keys(tokens).length === Object.keys(previous.tokens).length &&
+    Object.keys(tokens).every(colorId => tokens[colorId] === previous.tokens[colorId]);
+  return { stats: { network_id: networkInfo.id, updated_at: unchanged ? previous.updated_at : updatedAt, tokens }, failures };
+}
+
+const CLI_USAGE = `Usage: npm run snapshot-stats -- [options]
+
+Options:
+  --network <network>        Network label (${NETWORKS.map(n => n.label).join(', ')}) or network ID
+                             (default: every network with registered tokens)
+  --backend <module>         Module exporting a function (networkInfo) => chain backend,
+                             used instead of the network's explorer or RPC node
+  --dry-run                  Print the stats without writing ${STATS_FILE}
+  --help                     Show this help`;
+
+const CLI_VALUE_OPTIONS = {
+  '--network': 'network',
+  '--backend': 'backend'
+};
+
+/**
+ * Main execution
+ */
+async function main() {
+  let options;
+  try {
+    options = parseCliArgs(process.argv.slice(2), CLI_VALUE_OPTIONS);
+  } catch (err) {
+    console.error(`${err.message}\n\n${CLI_USAGE}`);
+    process.exit(1);
+  }
+
+  if (options.help) {
+    console.log(CLI_USAGE);
+    return;
+  }
+
+  // Unreadable token files are reported by snapshotNetwork
+  let networks = NETWORKS.filter(network => readTokenOwners(network.id, TOKENS_DIR).length > 0);
+  if (options.network) {
+    const networkInfo = parseNetwork(resolveNetworkOption(options.network));
+    if (!networkInfo) {
+      console.error(`Unknown network: ${options.network}\n\n${CLI_USAGE}`);
+      process.exit(1);
+    }
+    networks = [networkInfo];
+  }
+  const createBackend = options.backend ? require(path.resolve(options.backend)) : createChainBackend;
+
+  let failed = false;
+  for (const networkInfo of networks) {
+    console.log(`Taking stats snapshot of ${networkInfo.name} (Network ID: ${networkInfo.id})...`);
+
+    let result;
+    try {
+      result = await snapshotNetwork(networkInfo, createBackend(networkInfo));
+    } catch (err) {
+      console.error(`  ${err.message}`);
+      failed = true;
+      continue;
+    }
+
+    for (const [colorId, stats] of Object.entries(result.stats.tokens)) {
+      console.log(`  ${colorId}: supply ${stats.supply}, holders ${stats.holders === null ? 'unknown' : stats.holders}`);
+    }
+    for (const failure of result.failures) {
+      console.error(`  ✗ ${failure.colorId}: ${failure.error}`);
+      failed = true;
+    }
+
+    if (!options.dryRun) {
+      console.log(`  Updated ${writeStats(result.stats)}`);
+    }
+  }
+
+  process.exit(failed ? 1 : 0);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Unexpected error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  STATS_FILE,
+  readStats,
+  writeStats,
+  formatAmount,
+  snapshotNetwork
+};
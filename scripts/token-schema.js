@@ -0,0 +1,189 @@
+/**
+ * Token record JSON Schema
+ *
+ * The published schema (docs/schema/token-record.schema.json) describes a registered token
+ * file: payment_base, outpoint, the TIP-0020 metadata and the records the registry adds.
+ * Registrations and stored token files are checked against it here, so the schema is the
+ * single definition of the allowed fields and their formats.
+ *
+ * Only the JSON Schema keywords the schema uses are implemented. Pattern failures are reported
+ * with the schema's "errorMessage" annotation. URL and email formats are checked with the
+ * functions of extensions.js, so the schema and the other registry scripts apply the same rules.
+ */
+
+const path = require('path');
+const { isHttpsUrl, isValidEmail } = require('./extensions');
+
+const SCHEMA_PATH = path.join(__dirname, '..', 'docs', 'schema', 'token-record.schema.json');
+const TOKEN_RECORD_SCHEMA = require(SCHEMA_PATH);
+
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+// Checks and messages of the "format" values the schema uses
+const FORMATS = {
+  'date-time': {
+    check: value => DATE_TIME_PATTERN.test(value) && !isNaN(Date.parse(value)),
+    message: 'must be a date and time (ISO 8601)'
+  },
+  'https-url': { check: isHttpsUrl, message: 'must be an HTTPS URL' },
+  'asset-url': { check: value => isHttpsUrl(value) || value.startsWith('data:'), message: 'must be an HTTPS URL or Data URI' },
+  email: { check: isValidEmail, message: 'must be a valid email address' }
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'a boolean',
+  object: 'an object',
+  array: 'an array',
+  null: 'null'
+};
+
+/**
+ * Check whether a value has a JSON Schema type
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Resolve a "#/$defs/..." reference
+ */
+function resolveRef(ref) {
+  const name = ref.replace(/^#\/\$defs\//, '');
+  if (!TOKEN_RECORD_SCHEMA.$defs[name]) {
+    throw new Error(`Unknown schema reference: ${ref}`);
+  }
+  return TOKEN_RECORD_SCHEMA.$defs[name];
+}
+
+/**
+ * Join a property name to a field path
+ */
+function fieldPath(parent, key) {
+  return parent ? `${parent}.${key}` : key;
+}
+
+/**
+ * Check a value against a schema, adding a message per problem to errors
+ */
+function validateValue(schema, value, field, errors) {
+  if (schema.$ref) {
+    validateValue(resolveRef(schema.$ref), value, field, errors);
+    return;
+  }
+
+  // A value of the wrong type is not checked further
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => hasType(value, type))) {
+      errors.push(`${field} must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}`);
+      return;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push(`${field} must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${field} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    // Lengths are counted in characters (code points), as JSON Schema does
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      errors.push(schema.minLength === 1 ? `${field} is required` : `${field} must be at least ${schema.minLength} characters`);
+    } else if (schema.maxLength !== undefined && length > schema.maxLength) {
+      errors.push(`${field} must be ${schema.maxLength} characters or less`);
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${field} ${schema.errorMessage || `must match ${schema.pattern}`}`);
+    }
+    if (schema.format) {
+      const format = FORMATS[schema.format];
+      if (!format) {
+        throw new Error(`Unknown schema format: ${schema.format}`);
+      }
+      if (!format.check(value)) {
+        errors.push(`${field} ${format.message}`);
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    const { minimum, maximum } = schema;
+    if (minimum !== undefined && maximum !== undefined && (value < minimum || value > maximum)) {
+      errors.push(`${field} must be between ${minimum} and ${maximum}`);
+    } else if (minimum !== undefined && value < minimum) {
+      errors.push(`${field} must be ${minimum} or more`);
+    } else if (maximum !== undefined && value > maximum) {
+      errors.push(`${field} must be ${maximum} or less`);
+    }
+  }
+
+  if (hasType(value, 'object')) {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${fieldPath(field, key)} is required`);
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        validateValue(properties[key], item, fieldPath(field, key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${fieldPath(field, key)} is not a known field`);
+      } else if (schema.additionalProperties) {
+        validateValue(schema.additionalProperties, item, fieldPath(field, key), errors);
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => validateValue(schema.items, item, `${field}[${i}]`, errors));
+  }
+}
+
+/**
+ * Validate a token record (the content of a token file) against the schema
+ *
+ * Returns a list of error messages; an empty list means the record is valid.
+ */
+function validateTokenRecord(record) {
+  const errors = [];
+  if (!hasType(record, 'object')) {
+    return ['Token record must be a JSON object'];
+  }
+  validateValue(TOKEN_RECORD_SCHEMA, record, '', errors);
+  return errors;
+}
+
+/**
+ * Validate TIP-0020 metadata fields (as given in a registration) against the schema
+ *
+ * Returns a list of error messages such as "metadata.decimals must be between 0 and 18".
+ */
+function validateTokenMetadata(fields) {
+  const errors = [];
+  validateValue(TOKEN_RECORD_SCHEMA.$defs.metadata, fields, 'metadata', errors);
+  return errors;
+}
+
+module.exports = {
+  SCHEMA_PATH,
+  TOKEN_RECORD_SCHEMA,
+  validateTokenRecord,
+  validateTokenMetadata
+};
@@ -2,15 +2,25 @@
 
 const fs = require('fs');
 const path = require('path');
+const { execFileSync } = require('child_process');
+const { NETWORKS, addressNetwork } = require('./networks');
+const { createMetadata } = require('./register-token');
+const { COLLECTIONS_DIR, readNetworkCollections, assignCollectionMembers } = require('./collections');
+const { STATS_FILE, readStats, formatAmount } = require('./snapshot-stats');
 
 const TOKENS_DIR = 'docs/tokens';
 const INDEX_FILE = 'docs/index.html';
-
-// Network definitions (TIP-0044)
-const NETWORKS = [
-  { id: '15215628', name: 'Tapyrus API', label: 'api', explorer: 'https://explorer.api.tapyrus.chaintope.com' },
-  { id: '1939510133', name: 'Tapyrus Testnet', label: 'testnet', explorer: 'https://testnet-explorer.tapyrus.dev.chaintope.com' }
-];
+const INDEX_JSON_FILE = 'index.json';
+const CHANGELOG_FILE = 'docs/changelog.json';
+const FEED_FILE = 'docs/feed.xml';
+const { SITE_URL } = require('./site');
+
+// Map Color ID prefix to token type (TIP-0020 tokenType)
+const COLOR_ID_PREFIX_TO_TYPE = {
+  'c1': 'reissuable',
+  'c2': 'non_reissuable',
+  'c3': 'nft'
+};
 
 /**
  * Read all token metadata files from all networks
@@ -26,7 +36,14 @@ function readTokens() {
       continue;
     }
 
-    const files = fs.readdirSync(networkDir).filter(f => f.endsWith('.json'));
+    const files = fs.readdirSync(networkDir).filter(f => f.endsWith('.json') && f !== INDEX_JSON_FILE && f !== STATS_FILE);
+
+    let stats = {};
+    try {
+      stats = readStats(network.id, TOKENS_DIR).tokens;
+    } catch (err) {
+      console.error(`Error reading ${network.id}/${STATS_FILE}:`, err.message);
+    }
 
     for (const file of files) {
       try {
@@ -37,7 +54,18 @@ function readTokens() {
         tokensByNetwork[network.id].push({
           color_id: colorId,
           network_id: network.id,
-          ...metadata
+          issuer_signed: !!rawData.issuer_signature,
+          ...metadata,
+          metadata,
+          payment_base: rawData.payment_base || null,
+          outpoint: rawData.outpoint || null,
+          extensions: rawData.extensions || null,
+          assets: rawData.assets || null,
+          registration: rawData.registration || null,
+          status: rawData.status ? rawData.status.state : 'active',
+          status_reason: rawData.status ? rawData.status.reason : null,
+          status_date: rawData.status ? rawData.status.date : null,
+          stats: stats[colorId] || null
         });
       } catch (err) {
         console.error(`Error reading ${network.id}/${file}:`, err.message);
@@ -51,78 +79,677 @@ function readTokens() {
   return tokensByNetwork;
 }
 
+/**
+ * Attach NFT collections to their member tokens
+ *
+ * Sets collection / collection_name on each member token and members (Color IDs) on each collection.
+ */
+function groupCollections(collections, tokens) {
+  const members = assignCollectionMembers(collections, tokens);
+  for (const collection of collections) {
+    collection.members = [];
+  }
+  for (const token of tokens) {
+    const collection = collections.find(c => c.id === members.get(token.color_id));
+    if (collection) {
+      token.collection = collection.id;
+      token.collection_name = collection.name;
+      collection.members.push(token.color_id);
+    }
+  }
+  return collections;
+}
+
+/**
+ * Read the NFT collections of all networks and attach them to the tokens read by readTokens
+ */
+function readCollections(tokensByNetwork) {
+  const collectionsByNetwork = {};
+
+  for (const network of NETWORKS) {
+    const collections = readNetworkCollections(network.id)
+      .map(collection => ({ ...collection, network_id: network.id }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    collectionsByNetwork[network.id] = groupCollections(collections, tokensByNetwork[network.id] || []);
+  }
+
+  return collectionsByNetwork;
+}
+
+/**
+ * Get a display value for a token, preferring the issuer-updatable extensions over the metadata
+ */
+function displayValue(token, field) {
+  if (token.extensions && token.extensions[field] !== undefined) {
+    return token.extensions[field];
+  }
+  return token[field];
+}
+
+/**
+ * Get the icon to display for a token, preferring the mirrored copy under docs/assets
+ */
+function displayIcon(token) {
+  const field = token.extensions && token.extensions.icon !== undefined ? 'extensions.icon' : 'icon';
+  const asset = token.assets && token.assets[field];
+  if (asset && asset.path) {
+    return asset.path;
+  }
+  return displayValue(token, 'icon');
+}
+
+/**
+ * Get the image shown for an NFT in a collection gallery (mirrored image, image, then icon)
+ */
+function displayImage(token) {
+  const asset = token.assets && token.assets.image;
+  if (asset && asset.path) {
+    return asset.path;
+  }
+  return token.image || displayIcon(token);
+}
+
+/**
+ * Get the banner of a collection, preferring the mirrored copy under docs/assets
+ */
+function displayBanner(collection) {
+  const asset = collection.assets && collection.assets.banner;
+  return (asset && asset.path) || collection.banner || null;
+}
+
+/**
+ * Build a JSON index entry for a token
+ */
+function buildIndexEntry(token) {
+  const colorIdPrefix = token.color_id.substring(0, 2).toLowerCase();
+
+  return {
+    color_id: token.color_id,
+    name: token.name,
+    symbol: token.symbol,
+    decimals: token.decimals || 0,
+    token_type: COLOR_ID_PREFIX_TO_TYPE[colorIdPrefix] || 'unknown',
+    icon: displayIcon(token) || null,
+    issuer_signed: !!token.issuer_signed,
+    status: token.status || 'active',
+    collection: token.collection || null,
+    supply: token.stats ? token.stats.supply : null,
+    holders: token.stats ? token.stats.holders : null,
+    path: `tokens/${token.network_id}/${token.color_id}.json`
+  };
+}
+
+/**
+ * Build a JSON index entry for an NFT collection
+ */
+function buildCollectionIndexEntry(collection) {
+  return {
+    id: collection.id,
+    name: collection.name,
+    banner: displayBanner(collection),
+    payment_base: collection.payment_base,
+    token_count: (collection.members || []).length,
+    path: `collections/${collection.network_id}/${collection.id}.json`
+  };
+}
+
+/**
+ * Build the JSON index for a single network
+ */
+function buildNetworkIndex(network, tokens, collections = []) {
+  return {
+    network_id: network.id,
+    network_name: network.name,
+    token_count: tokens.length,
+    tokens: tokens.map(buildIndexEntry),
+    collections: collections.map(buildCollectionIndexEntry)
+  };
+}
+
+/**
+ * Build the JSON index across all networks
+ */
+function buildRegistryIndex(tokensByNetwork, networkList = NETWORKS, collectionsByNetwork = {}) {
+  const networks = [];
+  const tokens = [];
+  const collections = [];
+
+  for (const network of networkList) {
+    const networkTokens = tokensByNetwork[network.id] || [];
+    networks.push({
+      network_id: network.id,
+      network_name: network.name,
+      token_count: networkTokens.length,
+      index: `tokens/${network.id}/${INDEX_JSON_FILE}`
+    });
+    for (const token of networkTokens) {
+      tokens.push({ network_id: network.id, ...buildIndexEntry(token) });
+    }
+    for (const collection of collectionsByNetwork[network.id] || []) {
+      collections.push({ network_id: network.id, ...buildCollectionIndexEntry(collection) });
+    }
+  }
+
+  return { networks, tokens, collections };
+}
+
+/**
+ * Write JSON index files (per network and across all networks)
+ */
+function writeJsonIndexes(tokensByNetwork, collectionsByNetwork = {}) {
+  for (const network of NETWORKS) {
+    const networkDir = path.join(TOKENS_DIR, network.id);
+    if (!fs.existsSync(networkDir)) {
+      fs.mkdirSync(networkDir, { recursive: true });
+    }
+
+    const networkIndex = buildNetworkIndex(network, tokensByNetwork[network.id] || [], collectionsByNetwork[network.id] || []);
+    const networkIndexPath = path.join(networkDir, INDEX_JSON_FILE);
+    fs.writeFileSync(networkIndexPath, JSON.stringify(networkIndex, null, 2) + '\n');
+    console.log(`Updated ${networkIndexPath}`);
+  }
+
+  const registryIndexPath = path.join(TOKENS_DIR, INDEX_JSON_FILE);
+  fs.writeFileSync(registryIndexPath, JSON.stringify(buildRegistryIndex(tokensByNetwork, NETWORKS, collectionsByNetwork), null, 2) + '\n');
+  console.log(`Updated ${registryIndexPath}`);
+}
+
+// Number of most recent entries in the Atom feed (changelog.json keeps every entry)
+const FEED_ENTRY_LIMIT = 50;
+
+// Changelog events: a registration, or the state of a status (tombstone) record
+const EVENT_TITLES = {
+  registered: 'Registered',
+  deprecated: 'Deprecated',
+  compromised: 'Compromised',
+  withdrawn: 'Withdrawn'
+};
+
+/**
+ * Date of the commit that added a file, or null when git history is not available
+ *
+ * The workflows check out the full history so that this does not depend on the clone depth.
+ */
+function gitAddedAt(filePath) {
+  try {
+    const output = execFileSync('git', ['log', '--diff-filter=A', '--follow', '--format=%aI', '--', filePath], {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      timeout: 10000
+    });
+    const dates = output.trim().split('\n').filter(Boolean);
+    return dates.length > 0 ? new Date(dates[dates.length - 1]).toISOString() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build a changelog entry for a token event
+ */
+function buildChangelogEntry(token, network, event, time, issueNumber) {
+  const url = `${SITE_URL}/tokens/${network.id}/${token.color_id}.html`;
+  return {
+    // A token can reach the same status more than once, so status events are told apart by their date
+    id: event === 'registered' ? `${url}#${event}` : `${url}#${event}-${time}`,
+    event,
+    time,
+    network_id: network.id,
+    network_name: network.name,
+    color_id: token.color_id,
+    name: token.name,
+    symbol: token.symbol,
+    issue_number: issueNumber !== undefined ? issueNumber : null,
+    url,
+    record: `${SITE_URL}/tokens/${network.id}/${token.color_id}.json`
+  };
+}
+
+/**
+ * Build the changelog entries of every token, newest first
+ *
+ * The changelog is append-only: the entries of the previous changelog (options.previous) are
+ * kept as they are, and an event of the current token records is added when no entry has its id
+ * yet. Earlier status changes stay listed after the status record is replaced, and a rebuild of
+ * an unchanged registry gives the same entries. A registration is dated by its provenance record
+ * (registration.registered_at), or for tokens registered before provenance was recorded, by the
+ * commit that added the token file (options.addedAt(networkId, colorId) replaces the git lookup).
+ * A status change is dated by status.date. Tokens whose registration time cannot be determined
+ * get no registration entry.
+ */
+function buildChangelog(tokensByNetwork, networkList = NETWORKS, options = {}) {
+  const addedAt = options.addedAt || ((networkId, colorId) => gitAddedAt(path.join(TOKENS_DIR, networkId, `${colorId}.json`)));
+  const entries = [...(options.previous || [])];
+  const known = new Set(entries.map(entry => entry.id));
+  const add = entry => {
+    if (!known.has(entry.id)) {
+      known.add(entry.id);
+      entries.push(entry);
+    }
+  };
+
+  for (const network of networkList) {
+    for (const token of tokensByNetwork[network.id] || []) {
+      const provenance = token.registration;
+      const registeredAt = provenance && provenance.registered_at
+        ? provenance.registered_at
+        : addedAt(network.id, token.color_id);
+      if (registeredAt) {
+        add(buildChangelogEntry(token, network, 'registered', registeredAt, provenance ? provenance.issue_number : null));
+      }
+
+      if (token.status && token.status !== 'active' && token.status_date) {
+        const entry = buildChangelogEntry(token, network, token.status, token.status_date, null);
+        entry.reason = token.status_reason || null;
+        add(entry);
+      }
+    }
+  }
+
+  // Newest first; ties keep a stable order
+  return entries.sort((a, b) => b.time.localeCompare(a.time) || a.id.localeCompare(b.id));
+}
+
+/**
+ * Build the changelog.json document
+ *
+ * "updated" is the time of the newest entry, so an unchanged registry rebuilds to the same file.
+ */
+function buildChangelogJson(entries) {
+  return {
+    updated: entries.length > 0 ? entries[0].time : null,
+    feed: `${SITE_URL}/feed.xml`,
+    entries
+  };
+}
+
+/**
+ * Escape XML special characters
+ */
+function escapeXml(str) {
+  return String(str === null || str === undefined ? '' : str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Build the Atom feed of the most recent changelog entries
+ */
+function buildAtomFeed(entries, limit = FEED_ENTRY_LIMIT) {
+  const updated = entries.length > 0 ? entries[0].time : new Date(0).toISOString();
+
+  const items = entries.slice(0, limit).map(entry => {
+    const title = `${EVENT_TITLES[entry.event] || entry.event}: ${entry.name} (${entry.symbol}) on ${entry.network_name}`;
+    const summary = [
+      `Color ID: ${entry.color_id}`,
+      `Network ID: ${entry.network_id}`,
+      entry.issue_number ? `Issue: #${entry.issue_number}` : null,
+      entry.reason ? `Reason: ${entry.reason}` : null
+    ].filter(Boolean).join('\n');
+
+    return `  <entry>
+    <id>${escapeXml(entry.id)}</id>
+    <title>${escapeXml(title)}</title>
+    <updated>${escapeXml(entry.time)}</updated>
+    <link rel="alternate" type="text/html" href="${escapeXml(entry.url)}"/>
+    <link rel="related" type="application/json" href="${escapeXml(entry.record)}"/>
+    <category term="${escapeXml(entry.event)}"/>
+    <category term="network:${escapeXml(entry.network_id)}"/>
+    <summary>${escapeXml(summary)}</summary>
+  </entry>`;
+  });
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${SITE_URL}/feed.xml</id>
+  <title>Tapyrus Token Registry</title>
+  <subtitle>Token registrations and status changes</subtitle>
+  <link rel="self" type="application/atom+xml" href="${SITE_URL}/feed.xml"/>
+  <link rel="alternate" type="text/html" href="${SITE_URL}/"/>
+  <updated>${escapeXml(updated)}</updated>
+  <author>
+    <name>Tapyrus Token Registry</name>
+  </author>
+${items.join('\n')}
+</feed>
+`;
+}
+
+/**
+ * Read the entries of the published changelog.json, or none when there is no readable one
+ */
+function readChangelogEntries(changelogPath = CHANGELOG_FILE) {
+  if (!fs.existsSync(changelogPath)) {
+    return [];
+  }
+  try {
+    const changelog = JSON.parse(fs.readFileSync(changelogPath, 'utf8'));
+    return Array.isArray(changelog.entries) ? changelog.entries : [];
+  } catch (err) {
+    console.log(`Rebuilding ${changelogPath}: ${err.message}`);
+    return [];
+  }
+}
+
+/**
+ * Write docs/changelog.json and docs/feed.xml, adding the new events to the published changelog
+ */
+function writeChangelog(tokensByNetwork) {
+  const entries = buildChangelog(tokensByNetwork, NETWORKS, { previous: readChangelogEntries() });
+
+  fs.writeFileSync(CHANGELOG_FILE, JSON.stringify(buildChangelogJson(entries), null, 2) + '\n');
+  console.log(`Updated ${CHANGELOG_FILE} (${entries.length} entries)`);
+  fs.writeFileSync(FEED_FILE, buildAtomFeed(entries));
+  console.log(`Updated ${FEED_FILE}`);
+}
+
+// Client-side search, filter and sort over the embedded registry index (state kept in the query string)
+const REGISTRY_SCRIPT = `
+    (function () {
+      var data = JSON.parse(document.getElementById('registry-data').textContent);
+      var form = document.getElementById('registry-search');
+      var fields = { q: form.elements.q, type: form.elements.type, network: form.elements.network };
+      var state = { q: '', type: '', network: '', sort: 'name', order: 'asc' };
+
+      // NFTs in a collection have no row of their own: the collection row stands for them
+      // and is found by the Color IDs of its members
+      function memberColorIds(collection) {
+        return data.tokens.filter(function (token) {
+          return token.network_id === collection.network_id && token.collection === collection.id;
+        }).map(function (token) { return token.color_id; });
+      }
+
+      var entries = data.tokens.map(function (token) {
+        return {
+          token: token,
+          count: 1,
+          row: document.querySelector('tr[data-network="' + token.network_id + '"][data-color-id="' + token.color_id + '"]')
+        };
+      }).concat((data.collections || []).map(function (collection) {
+        return {
+          token: {
+            name: collection.name, symbol: '', color_id: '', token_type: 'nft', network_id: collection.network_id,
+            member_color_ids: memberColorIds(collection)
+          },
+          count: collection.token_count,
+          row: document.querySelector('tr[data-network="' + collection.network_id + '"][data-collection="' + collection.id + '"]')
+        };
+      })).filter(function (entry) { return entry.row; });
+
+      function count(list) {
+        return list.reduce(function (sum, entry) { return sum + entry.count; }, 0);
+      }
+
+      function readState() {
+        var params = new URLSearchParams(window.location.search);
+        Object.keys(state).forEach(function (key) {
+          if (params.has(key)) state[key] = params.get(key);
+        });
+        Object.keys(fields).forEach(function (key) { fields[key].value = state[key]; });
+      }
+
+      function writeState() {
+        var params = new URLSearchParams();
+        Object.keys(state).forEach(function (key) {
+          var isDefault = (key === 'sort' && state[key] === 'name') || (key === 'order' && state[key] === 'asc');
+          if (state[key] && !isDefault) params.set(key, state[key]);
+        });
+        var query = params.toString();
+        window.history.replaceState(null, '', window.location.pathname + (query ? '?' + query : ''));
+      }
+
+      function matches(token) {
+        var q = state.q.trim().toLowerCase();
+        if (state.type && token.token_type !== state.type) return false;
+        if (state.network && token.network_id !== state.network) return false;
+        if (!q) return true;
+        return String(token.name).toLowerCase().indexOf(q) !== -1 ||
+          String(token.symbol).toLowerCase().indexOf(q) !== -1 ||
+          token.color_id.indexOf(q) === 0 ||
+          (token.member_color_ids || []).some(function (colorId) { return colorId.indexOf(q) === 0; });
+      }
+
+      function compare(a, b) {
+        var x = String(a.token[state.sort] || '').toLowerCase();
+        var y = String(b.token[state.sort] || '').toLowerCase();
+        var result = x.localeCompare(y);
+        return state.order === 'desc' ? -result : result;
+      }
+
+      function render() {
+        entries.slice().sort(compare).forEach(function (entry) {
+          entry.row.hidden = !matches(entry.token);
+          entry.row.parentNode.appendChild(entry.row);
+        });
+
+        document.querySelectorAll('.card[data-network]').forEach(function (card) {
+          var networkId = card.getAttribute('data-network');
+          var total = entries.filter(function (e) { return e.token.network_id === networkId; });
+          var shown = total.filter(function (e) { return !e.row.hidden; });
+          card.hidden = !!state.network && state.network !== networkId;
+          card.querySelector('.token-count').textContent = shown.length === total.length
+            ? count(total) + ' registered'
+            : count(shown) + ' of ' + count(total) + ' shown';
+          card.querySelector('.no-match').hidden = total.length === 0 || shown.length > 0;
+        });
+
+        document.querySelectorAll('th[data-sort]').forEach(function (th) {
+          var active = th.getAttribute('data-sort') === state.sort;
+          th.setAttribute('aria-sort', active ? (state.order === 'asc' ? 'ascending' : 'descending') : 'none');
+        });
+      }
+
+      form.addEventListener('input', function () {
+        Object.keys(fields).forEach(function (key) { state[key] = fields[key].value; });
+        writeState();
+        render();
+      });
+      form.addEventListener('submit', function (event) { event.preventDefault(); });
+
+      document.querySelectorAll('th[data-sort]').forEach(function (th) {
+        th.addEventListener('click', function () {
+          var key = th.getAttribute('data-sort');
+          state.order = state.sort === key && state.order === 'asc' ? 'desc' : 'asc';
+          state.sort = key;
+          writeState();
+          render();
+        });
+      });
+
+      readState();
+      render();
+    })();
+`;
+
+/**
+ * Serialize data for embedding in an HTML script element
+ */
+function embedJson(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+/**
+ * Generate HTML for a network's token table
+ */
+function generateNetworkCard(network, tokens, collections = []) {
+  const badgeClass = network.production ? 'network-prod' : 'network-testnet';
+  return `
+    <div class="card" data-network="${network.id}">
+      <div class="card-header">
+        <div class="network-info">
+          <h2>
+            <span class="network-badge ${badgeClass}">${escapeHtml(network.name)}</span>
+          </h2>
+          <span class="network-id">Network ID: ${network.id}</span>
+        </div>
+        <span class="token-count">${tokens.length} registered</span>
+      </div>
+      <table>
+        <thead>
+          <tr>
+            <th data-sort="name" aria-sort="ascending">Token</th>
+            <th data-sort="symbol" aria-sort="none">Symbol</th>
+            <th data-sort="color_id" aria-sort="none">Color ID</th>
+            <th data-sort="token_type" aria-sort="none">Type</th>
+            <th>Metadata</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${generateTokenRows(tokens, network, collections)}
+          <tr class="no-match" hidden><td colspan="5" class="empty-message">No matching tokens</td></tr>
+        </tbody>
+      </table>
+    </div>`;
+}
+
+/**
+ * Generate HTML for a collection row, which stands for the collection's NFTs in the token table
+ */
+function generateCollectionRow(collection, network) {
+  const bannerUrl = displayBanner(collection);
+  const icon = bannerUrl
+    ? `<img src="${escapeHtml(bannerUrl)}" alt="${escapeHtml(collection.name)}" class="token-icon" onerror="this.style.display='none'">`
+    : '<div class="token-icon-placeholder"></div>';
+  const itemCount = collection.members.length;
+
+  return `
+    <tr data-network="${network.id}" data-collection="${escapeHtml(collection.id)}">
+      <td>
+        <div class="token-info">
+          ${icon}
+          <div class="token-details">
+            <strong>${escapeHtml(collection.name)}</strong>
+            <span class="collection-items">${itemCount} ${itemCount === 1 ? 'item' : 'items'}</span>
+          </div>
+        </div>
+      </td>
+      <td></td>
+      <td></td>
+      <td><span class="token-type type-nft">NFT Collection</span></td>
+      <td>
+        <a href="collections/${network.id}/${escapeHtml(collection.id)}.html">Details</a> |
+        <a href="collections/${network.id}/${escapeHtml(collection.id)}.json" target="_blank">JSON</a>
+      </td>
+    </tr>
+  `;
+}
+
 /**
  * Generate HTML for token table rows
+ *
+ * NFTs that belong to a collection are shown as one row per collection.
  */
-function generateTokenRows(tokens, networkId) {
+function generateTokenRows(tokens, network, collections = []) {
   if (tokens.length === 0) {
     return `<tr><td colspan="5" class="empty-message">No tokens registered</td></tr>`;
   }
 
-  // Get explorer URL for this network
-  const network = NETWORKS.find(n => n.id === networkId);
-  const explorerUrl = network ? network.explorer : '';
-
-  return tokens.map(token => {
-    // Derive token type from Color ID prefix
-    const colorIdPrefix = token.color_id.substring(0, 2).toLowerCase();
-    const tokenType = {
-      'c1': 'reissuable',
-      'c2': 'non-reissuable',
-      'c3': 'nft'
-    }[colorIdPrefix] || 'unknown';
-
-    const typeLabel = {
-      'reissuable': 'Reissuable',
-      'non-reissuable': 'Non-Reissuable',
-      'nft': 'NFT'
-    }[tokenType] || tokenType;
-
-    const typeClass = {
-      'reissuable': 'type-reissuable',
-      'non-reissuable': 'type-non-reissuable',
-      'nft': 'type-nft'
-    }[tokenType] || '';
-
-    const icon = token.icon
-      ? `<img src="${escapeHtml(token.icon)}" alt="${escapeHtml(token.name)}" class="token-icon" onerror="this.style.display='none'">`
-      : '<div class="token-icon-placeholder"></div>';
-
-    const colorIdLink = explorerUrl
-      ? `<a href="${explorerUrl}/color/${escapeHtml(token.color_id)}" target="_blank" rel="noopener"><code class="color-id">${escapeHtml(token.color_id)}</code></a>`
-      : `<code class="color-id">${escapeHtml(token.color_id)}</code>`;
+  const networkId = network.id;
+  const explorerUrl = network.explorer || '';
 
-    return `
-      <tr>
-        <td>
-          <div class="token-info">
-            ${icon}
-            <div class="token-details">
-              <strong>${escapeHtml(token.name)}</strong>
-            </div>
+  const tokenRows = tokens
+    .filter(token => !token.collection)
+    .map(token => ({ name: token.name, html: generateTokenRow(token, networkId, explorerUrl) }));
+  const collectionRows = collections
+    .filter(collection => collection.members.length > 0)
+    .map(collection => ({ name: collection.name, html: generateCollectionRow(collection, network) }));
+
+  return tokenRows.concat(collectionRows)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(row => row.html)
+    .join('');
+}
+
+/**
+ * Generate HTML for a token table row
+ */
+function generateTokenRow(token, networkId, explorerUrl) {
+  // Derive token type from Color ID prefix
+  const colorIdPrefix = token.color_id.substring(0, 2).toLowerCase();
+  const tokenType = {
+    'c1': 'reissuable',
+    'c2': 'non-reissuable',
+    'c3': 'nft'
+  }[colorIdPrefix] || 'unknown';
+
+  const typeLabel = {
+    'reissuable': 'Reissuable',
+    'non-reissuable': 'Non-Reissuable',
+    'nft': 'NFT'
+  }[tokenType] || tokenType;
+
+  const typeClass = {
+    'reissuable': 'type-reissuable',
+    'non-reissuable': 'type-non-reissuable',
+    'nft': 'type-nft'
+  }[tokenType] || '';
+
+  const iconUrl = displayIcon(token);
+  const icon = iconUrl
+    ? `<img src="${escapeHtml(iconUrl)}" alt="${escapeHtml(token.name)}" class="token-icon" onerror="this.style.display='none'">`
+    : '<div class="token-icon-placeholder"></div>';
+
+  const website = displayValue(token, 'website');
+  const websiteLink = website
+    ? `<a href="${escapeHtml(website)}" class="token-website" target="_blank" rel="noopener">${escapeHtml(website.replace(/^https:\/\//, ''))}</a>`
+    : '';
+
+  const status = token.status || 'active';
+  const statusBadge = status !== 'active'
+    ? `<span class="token-status status-${escapeHtml(status)}" title="${escapeHtml(token.status_reason)}${token.status_date ? ` (${escapeHtml(token.status_date.split('T')[0])})` : ''}">${escapeHtml(status)}</span>`
+    : '';
+
+  const supply = token.stats
+    ? `<span class="token-supply">Supply ${escapeHtml(formatAmount(token.stats.supply, token.decimals || 0))}${token.stats.holders !== null ? ` · ${escapeHtml(String(token.stats.holders))} holders` : ''}</span>`
+    : '';
+
+  const colorIdLink = explorerUrl
+    ? `<a href="${explorerUrl}/color/${escapeHtml(token.color_id)}" target="_blank" rel="noopener"><code class="color-id">${escapeHtml(token.color_id)}</code></a>`
+    : `<code class="color-id">${escapeHtml(token.color_id)}</code>`;
+
+  return `
+    <tr data-network="${networkId}" data-color-id="${escapeHtml(token.color_id)}"${status !== 'active' ? ' class="token-inactive"' : ''}>
+      <td>
+        <div class="token-info">
+          ${icon}
+          <div class="token-details">
+            <strong>${escapeHtml(token.name)}</strong>
+            ${websiteLink}
+            ${supply}
+            ${token.issuer_signed ? '<span class="issuer-signed" title="Registration signed with the Payment Base key">Issuer signed</span>' : ''}
+            ${statusBadge}
           </div>
-        </td>
-        <td>${escapeHtml(token.symbol)}</td>
-        <td>${colorIdLink}</td>
-        <td><span class="token-type ${typeClass}">${typeLabel}</span></td>
-        <td>
-          <a href="tokens/${networkId}/${escapeHtml(token.color_id)}.json" target="_blank">JSON</a>
-        </td>
-      </tr>
-    `;
-  }).join('');
+        </div>
+      </td>
+      <td>${escapeHtml(token.symbol)}</td>
+      <td>${colorIdLink}</td>
+      <td><span class="token-type ${typeClass}">${typeLabel}</span></td>
+      <td>
+        <a href="tokens/${networkId}/${escapeHtml(token.color_id)}.html">Details</a> |
+        <a href="tokens/${networkId}/${escapeHtml(token.color_id)}.json" target="_blank">JSON</a>
+      </td>
+    </tr>
+  `;
 }
 
 /**
  * Generate HTML for the index page
  */
-function generateHtml(tokensByNetwork) {
-  const prodTokens = tokensByNetwork['15215628'] || [];
-  const testnetTokens = tokensByNetwork['1939510133'] || [];
-  const totalTokens = prodTokens.length + testnetTokens.length;
+function generateHtml(tokensByNetwork, networkList = NETWORKS, collectionsByNetwork = {}) {
+  const totalTokens = networkList.reduce((sum, network) => sum + (tokensByNetwork[network.id] || []).length, 0);
+
+  const networkStats = networkList.map(network => `
+      <div class="stat-item">
+        <div class="stat-value">${(tokensByNetwork[network.id] || []).length}</div>
+        <div class="stat-label">${escapeHtml(network.name)}</div>
+      </div>`).join('');
 
-  const prodRows = generateTokenRows(prodTokens, '15215628');
-  const testnetRows = generateTokenRows(testnetTokens, '1939510133');
+  const networkCards = networkList
+    .map(network => generateNetworkCard(network, tokensByNetwork[network.id] || [], collectionsByNetwork[network.id] || []))
+    .join('\n');
 
   return `<!DOCTYPE html>
 <html lang="en">
@@ -130,6 +757,7 @@ function generateHtml(tokensByNetwork) {
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
   <title>Tapyrus Token Registry</title>
+  <link rel="alternate" type="application/atom+xml" title="Tapyrus Token Registry" href="feed.xml">
   <style>
     :root {
       --primary-color: #2563eb;
@@ -316,6 +944,47 @@ function generateHtml(tokensByNetwork) {
       flex-direction: column;
     }
 
+    .issuer-signed {
+      font-size: 0.75rem;
+      color: var(--type-reissuable);
+    }
+
+    .token-status {
+      display: inline-block;
+      padding: 0 0.5rem;
+      border-radius: 9999px;
+      font-size: 0.75rem;
+      font-weight: 500;
+      background: #fee2e2;
+      color: #dc2626;
+      text-transform: capitalize;
+      width: fit-content;
+    }
+
+    .status-deprecated {
+      background: #f1f5f9;
+      color: var(--text-secondary);
+    }
+
+    .token-inactive .token-info {
+      opacity: 0.6;
+    }
+
+    .token-website {
+      font-size: 0.75rem;
+      word-break: break-all;
+    }
+
+    .token-supply {
+      font-size: 0.75rem;
+      color: var(--text-secondary);
+    }
+
+    .collection-items {
+      font-size: 0.75rem;
+      color: var(--text-secondary);
+    }
+
     .token-symbol {
       font-size: 0.875rem;
       color: var(--text-secondary);
@@ -363,6 +1032,45 @@ function generateHtml(tokensByNetwork) {
       text-decoration: underline;
     }
 
+    .search-bar {
+      display: flex;
+      gap: 0.5rem;
+      margin-bottom: 2rem;
+      flex-wrap: wrap;
+    }
+
+    .search-bar input,
+    .search-bar select {
+      padding: 0.5rem 0.75rem;
+      border: 1px solid var(--border-color);
+      border-radius: 8px;
+      background: var(--card-bg);
+      color: var(--text-color);
+      font-size: 0.875rem;
+    }
+
+    .search-bar input {
+      flex: 1;
+      min-width: 240px;
+    }
+
+    th[data-sort] {
+      cursor: pointer;
+      user-select: none;
+    }
+
+    th[aria-sort="ascending"]::after {
+      content: ' \\25B2';
+    }
+
+    th[aria-sort="descending"]::after {
+      content: ' \\25BC';
+    }
+
+    [hidden] {
+      display: none !important;
+    }
+
     .empty-message {
       text-align: center;
       color: var(--text-secondary);
@@ -404,68 +1112,23 @@ function generateHtml(tokensByNetwork) {
       <div class="stat-item">
         <div class="stat-value">${totalTokens}</div>
         <div class="stat-label">Registered</div>
-      </div>
-      <div class="stat-item">
-        <div class="stat-value">${prodTokens.length}</div>
-        <div class="stat-label">Tapyrus API</div>
-      </div>
-      <div class="stat-item">
-        <div class="stat-value">${testnetTokens.length}</div>
-        <div class="stat-label">Testnet</div>
-      </div>
+      </div>${networkStats}
     </div>
 
-    <div class="card">
-      <div class="card-header">
-        <div class="network-info">
-          <h2>
-            <span class="network-badge network-prod">Tapyrus API</span>
-          </h2>
-          <span class="network-id">Network ID: 15215628</span>
-        </div>
-        <span class="token-count">${prodTokens.length} registered</span>
-      </div>
-      <table>
-        <thead>
-          <tr>
-            <th>Token</th>
-            <th>Symbol</th>
-            <th>Color ID</th>
-            <th>Type</th>
-            <th>Metadata</th>
-          </tr>
-        </thead>
-        <tbody>
-          ${prodRows}
-        </tbody>
-      </table>
-    </div>
-
-    <div class="card">
-      <div class="card-header">
-        <div class="network-info">
-          <h2>
-            <span class="network-badge network-testnet">Tapyrus Testnet</span>
-          </h2>
-          <span class="network-id">Network ID: 1939510133</span>
-        </div>
-        <span class="token-count">${testnetTokens.length} registered</span>
-      </div>
-      <table>
-        <thead>
-          <tr>
-            <th>Token</th>
-            <th>Symbol</th>
-            <th>Color ID</th>
-            <th>Type</th>
-            <th>Metadata</th>
-          </tr>
-        </thead>
-        <tbody>
-          ${testnetRows}
-        </tbody>
-      </table>
-    </div>
+    <form id="registry-search" class="search-bar" role="search">
+      <input type="search" name="q" placeholder="Search by name, symbol or Color ID prefix" aria-label="Search tokens">
+      <select name="type" aria-label="Token type">
+        <option value="">All types</option>
+        <option value="reissuable">Reissuable</option>
+        <option value="non_reissuable">Non-Reissuable</option>
+        <option value="nft">NFT</option>
+      </select>
+      <select name="network" aria-label="Network">
+        <option value="">All networks</option>
+        ${networkList.map(n => `<option value="${n.id}">${escapeHtml(n.name)}</option>`).join('\n        ')}
+      </select>
+    </form>
+${networkCards}
 
     <footer>
       <p>
@@ -476,10 +1139,707 @@ function generateHtml(tokensByNetwork) {
       <p>Last updated: ${new Date().toISOString().split('T')[0]}</p>
     </footer>
   </div>
+  <script type="application/json" id="registry-data">${embedJson(buildRegistryIndex(tokensByNetwork, networkList, collectionsByNetwork))}</script>
+  <script>${REGISTRY_SCRIPT}  </script>
+</body>
+</html>`;
+}
+
+/**
+ * Resolve a display URL for a page nested under the site root (mirrored assets are site-relative)
+ */
+function resolveAssetUrl(url, rootPath) {
+  if (!url) return null;
+  return url.startsWith('assets/') ? `${rootPath}${url}` : url;
+}
+
+/**
+ * Derive token details shown on the token page (digest, canonical form, P2C address)
+ */
+function deriveTokenDetails(token, network) {
+  try {
+    const metadata = createMetadata(token.color_id, token.metadata);
+    return {
+      digest: metadata.digest().toString('hex'),
+      canonical: metadata.toCanonical(),
+      p2cAddress: token.payment_base
+        ? metadata.p2cAddress(Buffer.from(token.payment_base, 'hex'), addressNetwork(network))
+        : null
+    };
+  } catch (err) {
+    console.error(`Error deriving details for ${network.id}/${token.color_id}:`, err.message);
+    return { digest: null, canonical: null, p2cAddress: null };
+  }
+}
+
+/**
+ * Build the JSON-LD description of a token
+ */
+function buildTokenJsonLd(token, pageUrl, imageUrl) {
+  const website = displayValue(token, 'website');
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Thing',
+    name: token.name,
+    alternateName: token.symbol,
+    identifier: token.color_id,
+    description: token.description || undefined,
+    url: pageUrl,
+    image: imageUrl || undefined,
+    sameAs: website ? [website] : undefined
+  };
+}
+
+/**
+ * Generate a table row for the token page, skipping empty values
+ */
+function detailRow(label, valueHtml) {
+  if (!valueHtml) return '';
+  return `
+        <tr>
+          <th>${escapeHtml(label)}</th>
+          <td>${valueHtml}</td>
+        </tr>`;
+}
+
+/**
+ * Generate an external link
+ */
+function externalLink(url, text) {
+  return `<a href="${escapeHtml(url)}" target="_blank" rel="noopener">${escapeHtml(text || url)}</a>`;
+}
+
+/**
+ * Generate a code value linked to the network's explorer (plain when the network has no explorer)
+ */
+function explorerLink(network, explorerPath, value) {
+  const code = `<code>${escapeHtml(value)}</code>`;
+  return network.explorer
+    ? `<a href="${network.explorer}/${escapeHtml(explorerPath)}" target="_blank" rel="noopener">${code}</a>`
+    : code;
+}
+
+/**
+ * Generate the HTML detail page for a token
+ */
+function generateTokenPage(token, network) {
+  const rootPath = '../../';
+  const pageUrl = `${SITE_URL}/tokens/${network.id}/${token.color_id}.html`;
+  const tokenType = COLOR_ID_PREFIX_TO_TYPE[token.color_id.substring(0, 2).toLowerCase()] || 'unknown';
+  const typeLabel = { 'reissuable': 'Reissuable', 'non_reissuable': 'Non-Reissuable', 'nft': 'NFT' }[tokenType] || tokenType;
+  const typeClass = { 'reissuable': 'type-reissuable', 'non_reissuable': 'type-non-reissuable', 'nft': 'type-nft' }[tokenType] || '';
+  const details = deriveTokenDetails(token, network);
+
+  const iconUrl = resolveAssetUrl(displayIcon(token), rootPath);
+  const imageAsset = token.assets && token.assets.image;
+  const imageUrl = resolveAssetUrl(imageAsset ? imageAsset.path : token.image, rootPath);
+
+  // Social previews need an absolute HTTPS image URL
+  const previewAsset = (imageAsset && imageAsset.path) || displayIcon(token);
+  const previewUrl = previewAsset && previewAsset.startsWith('assets/')
+    ? `${SITE_URL}/${previewAsset}`
+    : (previewAsset && previewAsset.startsWith('https://') ? previewAsset : null);
+
+  const title = `${token.name} (${token.symbol})`;
+  const description = token.description || `${typeLabel} token ${token.symbol} registered on ${network.name}`;
+  const jsonLd = JSON.stringify(buildTokenJsonLd(token, pageUrl, previewUrl), null, 2).replace(/</g, '\\u003c');
+
+  const website = displayValue(token, 'website');
+  const issuer = token.issuer || {};
+  const issuerHtml = [
+    issuer.name ? escapeHtml(issuer.name) : '',
+    issuer.url ? externalLink(issuer.url) : '',
+    issuer.email ? `<a href="mailto:${escapeHtml(issuer.email)}">${escapeHtml(issuer.email)}</a>` : ''
+  ].filter(Boolean).join('<br>');
+
+  const outpointHtml = token.outpoint
+    ? explorerLink(network, `tx/${token.outpoint.txid}`, `${token.outpoint.txid}:${token.outpoint.index}`)
+    : '';
+
+  const provenance = token.registration || {};
+  const outpointBlock = provenance.outpoint_block;
+  const registeredHtml = provenance.registered_at
+    ? `${escapeHtml(provenance.registered_at.split('T')[0])}${provenance.issue_number ? ` (issue #${escapeHtml(String(provenance.issue_number))})` : ''}`
+    : '';
+
+  const stats = token.stats;
+  const amountHtml = amount => `${escapeHtml(formatAmount(amount, token.decimals || 0))} ${escapeHtml(token.symbol)}`;
+
+  const status = token.status || 'active';
+  const statusHtml = status !== 'active'
+    ? `<span class="token-status status-${escapeHtml(status)}">${escapeHtml(status)}</span> ${escapeHtml(token.status_reason)}${token.status_date ? ` (${escapeHtml(token.status_date.split('T')[0])})` : ''}`
+    : '';
+
+  const extensions = token.extensions || {};
+  const linksHtml = (extensions.links || []).map(link => externalLink(link.url, link.label))
+    .concat(Object.entries(extensions.social || {}).map(([service, url]) => externalLink(url, service)))
+    .join('<br>');
+  const auditsHtml = (extensions.audits || [])
+    .map(audit => `${externalLink(audit.url, audit.auditor)}${audit.date ? ` (${escapeHtml(audit.date)})` : ''}`)
+    .join('<br>');
+  const contact = extensions.contact || {};
+  const contactHtml = [
+    contact.email ? `<a href="mailto:${escapeHtml(contact.email)}">${escapeHtml(contact.email)}</a>` : '',
+    contact.url ? externalLink(contact.url) : ''
+  ].filter(Boolean).join('<br>');
+  const attributesHtml = Array.isArray(token.attributes) && token.attributes.length > 0
+    ? token.attributes.map(attr => `${escapeHtml(attr.trait_type)}: ${escapeHtml(String(attr.value))}`).join('<br>')
+    : '';
+
+  const rows = [
+    detailRow('Network', `${escapeHtml(network.name)} (Network ID: ${escapeHtml(network.id)})`),
+    detailRow('Color ID', explorerLink(network, `color/${token.color_id}`, token.color_id)),
+    detailRow('Token type', typeLabel),
+    detailRow('Decimals', escapeHtml(String(token.decimals || 0))),
+    detailRow('Status', statusHtml),
+    detailRow('Circulating supply', stats ? amountHtml(stats.supply) : ''),
+    detailRow('Issued', stats ? amountHtml(stats.issued) : ''),
+    detailRow('Burned', stats ? amountHtml(stats.burned) : ''),
+    detailRow('Holders', stats && stats.holders !== null ? escapeHtml(String(stats.holders)) : ''),
+    detailRow('Stats as of', stats && stats.updated_at ? escapeHtml(stats.updated_at.split('T')[0]) : ''),
+    detailRow('Website', website ? externalLink(website) : ''),
+    detailRow('Issuer', issuerHtml),
+    detailRow('Terms', token.terms ? externalLink(token.terms) : ''),
+    detailRow('External URL', token.external_url ? externalLink(token.external_url) : ''),
+    detailRow('Collection', token.collection
+      ? `<a href="${rootPath}collections/${escapeHtml(network.id)}/${escapeHtml(token.collection)}.html">${escapeHtml(token.collection_name)}</a>`
+      : ''),
+    detailRow('Attributes', attributesHtml),
+    detailRow('Links', linksHtml),
+    detailRow('Contact', contactHtml),
+    detailRow('Audits', auditsHtml),
+    detailRow('Payment Base', token.payment_base ? `<code>${escapeHtml(token.payment_base)}</code>` : ''),
+    detailRow('OutPoint', outpointHtml),
+    detailRow('P2C address', details.p2cAddress ? explorerLink(network, `address/${details.p2cAddress}`, details.p2cAddress) : ''),
+    detailRow('Metadata digest', details.digest ? `<code>${escapeHtml(details.digest)}</code>` : ''),
+    detailRow('OutPoint block', outpointBlock
+      ? `${escapeHtml(String(outpointBlock.height))} (${explorerLink(network, `block/${outpointBlock.hash}`, outpointBlock.hash)})`
+      : ''),
+    detailRow('Registered', registeredHtml),
+    detailRow('Token record', `<a href="${escapeHtml(token.color_id)}.json">${escapeHtml(token.color_id)}.json</a>`)
+  ].join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)} - Tapyrus Token Registry</title>
+  <meta name="description" content="${escapeHtml(description)}">
+  <link rel="canonical" href="${escapeHtml(pageUrl)}">
+  <meta property="og:type" content="website">
+  <meta property="og:site_name" content="Tapyrus Token Registry">
+  <meta property="og:title" content="${escapeHtml(title)}">
+  <meta property="og:description" content="${escapeHtml(description)}">
+  <meta property="og:url" content="${escapeHtml(pageUrl)}">
+  ${previewUrl ? `<meta property="og:image" content="${escapeHtml(previewUrl)}">` : ''}
+  <meta name="twitter:card" content="summary">
+  <script type="application/ld+json">
+${jsonLd}
+  </script>
+  <style>
+    :root {
+      --primary-color: #2563eb;
+      --bg-color: #f8fafc;
+      --card-bg: #ffffff;
+      --text-color: #1e293b;
+      --text-secondary: #64748b;
+      --border-color: #e2e8f0;
+      --type-reissuable: #10b981;
+      --type-non-reissuable: #f59e0b;
+      --type-nft: #8b5cf6;
+    }
+
+    * {
+      box-sizing: border-box;
+      margin: 0;
+      padding: 0;
+    }
+
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      background-color: var(--bg-color);
+      color: var(--text-color);
+      line-height: 1.6;
+    }
+
+    .container {
+      max-width: 960px;
+      margin: 0 auto;
+      padding: 2rem 1rem;
+    }
+
+    .back-link {
+      display: inline-block;
+      margin-bottom: 1rem;
+      font-size: 0.875rem;
+    }
+
+    .token-header {
+      display: flex;
+      align-items: center;
+      gap: 1rem;
+      margin-bottom: 1.5rem;
+    }
+
+    .token-header h1 {
+      font-size: 1.75rem;
+    }
+
+    .token-icon {
+      width: 64px;
+      height: 64px;
+      border-radius: 50%;
+      object-fit: cover;
+    }
+
+    .token-symbol {
+      color: var(--text-secondary);
+    }
+
+    .badges {
+      display: flex;
+      gap: 0.5rem;
+      flex-wrap: wrap;
+      margin-top: 0.25rem;
+    }
+
+    .card {
+      background: var(--card-bg);
+      border-radius: 12px;
+      box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+      overflow: hidden;
+      margin-bottom: 1.5rem;
+    }
+
+    .description {
+      padding: 1rem 1.5rem;
+    }
+
+    .token-image {
+      display: block;
+      max-width: 100%;
+      max-height: 480px;
+      margin: 0 auto;
+    }
+
+    table {
+      width: 100%;
+      border-collapse: collapse;
+    }
+
+    th, td {
+      padding: 0.75rem 1.5rem;
+      text-align: left;
+      vertical-align: top;
+      border-bottom: 1px solid var(--border-color);
+      font-size: 0.875rem;
+    }
+
+    th {
+      width: 180px;
+      color: var(--text-secondary);
+      font-weight: 600;
+    }
+
+    code, pre {
+      font-family: monospace;
+      word-break: break-all;
+    }
+
+    pre {
+      padding: 1rem 1.5rem;
+      white-space: pre-wrap;
+      font-size: 0.75rem;
+    }
+
+    h2 {
+      font-size: 1rem;
+      padding: 1rem 1.5rem 0;
+    }
+
+    .token-type, .token-status {
+      display: inline-block;
+      padding: 0 0.75rem;
+      border-radius: 9999px;
+      font-size: 0.75rem;
+      font-weight: 500;
+    }
+
+    .type-reissuable {
+      background: #d1fae5;
+      color: var(--type-reissuable);
+    }
+
+    .type-non-reissuable {
+      background: #fef3c7;
+      color: var(--type-non-reissuable);
+    }
+
+    .type-nft {
+      background: #ede9fe;
+      color: var(--type-nft);
+    }
+
+    .token-status {
+      background: #fee2e2;
+      color: #dc2626;
+      text-transform: capitalize;
+    }
+
+    .status-deprecated {
+      background: #f1f5f9;
+      color: var(--text-secondary);
+    }
+
+    .issuer-signed {
+      font-size: 0.75rem;
+      color: var(--type-reissuable);
+    }
+
+    a {
+      color: var(--primary-color);
+      text-decoration: none;
+    }
+
+    a:hover {
+      text-decoration: underline;
+    }
+
+    @media (max-width: 768px) {
+      th {
+        width: 120px;
+      }
+
+      th, td {
+        padding: 0.5rem;
+      }
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <a href="${rootPath}index.html" class="back-link">&larr; Tapyrus Token Registry</a>
+
+    <div class="token-header">
+      ${iconUrl ? `<img src="${escapeHtml(iconUrl)}" alt="${escapeHtml(token.name)}" class="token-icon" onerror="this.style.display='none'">` : ''}
+      <div>
+        <h1>${escapeHtml(token.name)} <span class="token-symbol">${escapeHtml(token.symbol)}</span></h1>
+        <div class="badges">
+          <span class="token-type ${typeClass}">${typeLabel}</span>
+          ${status !== 'active' ? `<span class="token-status status-${escapeHtml(status)}">${escapeHtml(status)}</span>` : ''}
+          ${token.issuer_signed ? '<span class="issuer-signed" title="Registration signed with the Payment Base key">Issuer signed</span>' : ''}
+        </div>
+      </div>
+    </div>
+
+    ${token.description ? `<div class="card"><p class="description">${escapeHtml(token.description)}</p></div>` : ''}
+
+    ${imageUrl ? `<div class="card"><img src="${escapeHtml(imageUrl)}" alt="${escapeHtml(token.name)}" class="token-image"></div>` : ''}
+
+    <div class="card">
+      <table>${rows}
+      </table>
+    </div>
+
+    ${details.canonical ? `<div class="card">
+      <h2>Canonical metadata (TIP-0020)</h2>
+      <pre>${escapeHtml(details.canonical)}</pre>
+    </div>` : ''}
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * Generate the HTML page for an NFT collection, with a gallery of its items
+ */
+function generateCollectionPage(collection, tokens, network) {
+  const rootPath = '../../';
+  const pageUrl = `${SITE_URL}/collections/${network.id}/${collection.id}.html`;
+  const members = tokens.filter(token => token.collection === collection.id);
+  const bannerUrl = resolveAssetUrl(displayBanner(collection), rootPath);
+
+  // Social previews need an absolute HTTPS image URL
+  const banner = displayBanner(collection);
+  const previewUrl = banner && banner.startsWith('assets/')
+    ? `${SITE_URL}/${banner}`
+    : (banner && banner.startsWith('https://') ? banner : null);
+
+  const description = collection.description || `NFT collection of ${members.length} items registered on ${network.name}`;
+
+  const issuer = collection.issuer || {};
+  const issuerHtml = [
+    issuer.name ? escapeHtml(issuer.name) : '',
+    issuer.url ? externalLink(issuer.url) : '',
+    issuer.email ? `<a href="mailto:${escapeHtml(issuer.email)}">${escapeHtml(issuer.email)}</a>` : ''
+  ].filter(Boolean).join('<br>');
+
+  const proof = collection.collection_proof || {};
+  const updatedHtml = proof.updated_at
+    ? `${escapeHtml(proof.updated_at.split('T')[0])}${proof.issue_number ? ` (issue #${escapeHtml(String(proof.issue_number))})` : ''}`
+    : '';
+
+  const rows = [
+    detailRow('Network', `${escapeHtml(network.name)} (Network ID: ${escapeHtml(network.id)})`),
+    detailRow('Items', escapeHtml(String(members.length))),
+    detailRow('Issuer', issuerHtml),
+    detailRow('Payment Base', `<code>${escapeHtml(collection.payment_base)}</code>`),
+    detailRow('Updated', updatedHtml),
+    detailRow('Collection record', `<a href="${escapeHtml(collection.id)}.json">${escapeHtml(collection.id)}.json</a>`)
+  ].join('');
+
+  const gallery = members.map(token => {
+    const imageUrl = resolveAssetUrl(displayImage(token), rootPath);
+    const status = token.status || 'active';
+    return `
+        <a href="${rootPath}tokens/${network.id}/${escapeHtml(token.color_id)}.html" class="gallery-item${status !== 'active' ? ' token-inactive' : ''}">
+          ${imageUrl
+            ? `<img src="${escapeHtml(imageUrl)}" alt="${escapeHtml(token.name)}" loading="lazy" onerror="this.style.visibility='hidden'">`
+            : '<div class="gallery-placeholder"></div>'}
+          <span class="gallery-name">${escapeHtml(token.name)}</span>
+          ${status !== 'active' ? `<span class="token-status status-${escapeHtml(status)}">${escapeHtml(status)}</span>` : ''}
+        </a>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(collection.name)} - Tapyrus Token Registry</title>
+  <meta name="description" content="${escapeHtml(description)}">
+  <link rel="canonical" href="${escapeHtml(pageUrl)}">
+  <meta property="og:type" content="website">
+  <meta property="og:site_name" content="Tapyrus Token Registry">
+  <meta property="og:title" content="${escapeHtml(collection.name)}">
+  <meta property="og:description" content="${escapeHtml(description)}">
+  <meta property="og:url" content="${escapeHtml(pageUrl)}">
+  ${previewUrl ? `<meta property="og:image" content="${escapeHtml(previewUrl)}">` : ''}
+  <meta name="twitter:card" content="summary_large_image">
+  <style>
+    :root {
+      --primary-color: #2563eb;
+      --bg-color: #f8fafc;
+      --card-bg: #ffffff;
+      --text-color: #1e293b;
+      --text-secondary: #64748b;
+      --border-color: #e2e8f0;
+      --type-nft: #8b5cf6;
+    }
+
+    * {
+      box-sizing: border-box;
+      margin: 0;
+      padding: 0;
+    }
+
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      background-color: var(--bg-color);
+      color: var(--text-color);
+      line-height: 1.6;
+    }
+
+    .container {
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 2rem 1rem;
+    }
+
+    .back-link {
+      display: inline-block;
+      margin-bottom: 1rem;
+      font-size: 0.875rem;
+    }
+
+    .banner {
+      display: block;
+      width: 100%;
+      max-height: 320px;
+      object-fit: cover;
+      border-radius: 12px;
+      margin-bottom: 1.5rem;
+    }
+
+    h1 {
+      font-size: 1.75rem;
+      margin-bottom: 0.25rem;
+    }
+
+    .token-type {
+      display: inline-block;
+      padding: 0 0.75rem;
+      border-radius: 9999px;
+      font-size: 0.75rem;
+      font-weight: 500;
+      background: #ede9fe;
+      color: var(--type-nft);
+      margin-bottom: 1.5rem;
+    }
+
+    .card {
+      background: var(--card-bg);
+      border-radius: 12px;
+      box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+      overflow: hidden;
+      margin-bottom: 1.5rem;
+    }
+
+    .description {
+      padding: 1rem 1.5rem;
+    }
+
+    table {
+      width: 100%;
+      border-collapse: collapse;
+    }
+
+    th, td {
+      padding: 0.75rem 1.5rem;
+      text-align: left;
+      vertical-align: top;
+      border-bottom: 1px solid var(--border-color);
+      font-size: 0.875rem;
+    }
+
+    th {
+      width: 180px;
+      color: var(--text-secondary);
+      font-weight: 600;
+    }
+
+    code {
+      font-family: monospace;
+      word-break: break-all;
+    }
+
+    .gallery {
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(180px, 1fr));
+      gap: 1rem;
+    }
+
+    .gallery-item {
+      display: flex;
+      flex-direction: column;
+      background: var(--card-bg);
+      border-radius: 12px;
+      box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+      overflow: hidden;
+      color: var(--text-color);
+    }
+
+    .gallery-item img,
+    .gallery-placeholder {
+      width: 100%;
+      aspect-ratio: 1;
+      object-fit: cover;
+      background: var(--border-color);
+    }
+
+    .gallery-name {
+      padding: 0.5rem 0.75rem;
+      font-size: 0.875rem;
+      font-weight: 500;
+    }
+
+    .token-inactive img {
+      opacity: 0.5;
+    }
+
+    .token-status {
+      margin: 0 0.75rem 0.5rem;
+      padding: 0 0.5rem;
+      border-radius: 9999px;
+      font-size: 0.75rem;
+      background: #fee2e2;
+      color: #dc2626;
+      text-transform: capitalize;
+      width: fit-content;
+    }
+
+    .status-deprecated {
+      background: #f1f5f9;
+      color: var(--text-secondary);
+    }
+
+    a {
+      color: var(--primary-color);
+      text-decoration: none;
+    }
+
+    a:hover {
+      text-decoration: underline;
+    }
+
+    @media (max-width: 768px) {
+      th {
+        width: 120px;
+      }
+
+      th, td {
+        padding: 0.5rem;
+      }
+
+      .gallery {
+        grid-template-columns: repeat(auto-fill, minmax(140px, 1fr));
+      }
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <a href="${rootPath}index.html" class="back-link">&larr; Tapyrus Token Registry</a>
+
+    ${bannerUrl ? `<img src="${escapeHtml(bannerUrl)}" alt="${escapeHtml(collection.name)}" class="banner" onerror="this.style.display='none'">` : ''}
+
+    <h1>${escapeHtml(collection.name)}</h1>
+    <span class="token-type">NFT Collection</span>
+
+    ${collection.description ? `<div class="card"><p class="description">${escapeHtml(collection.description)}</p></div>` : ''}
+
+    <div class="card">
+      <table>${rows}
+      </table>
+    </div>
+
+    <div class="gallery">${gallery}
+    </div>
+  </div>
 </body>
 </html>`;
 }
 
+/**
+ * Write an HTML page for every NFT collection
+ */
+function writeCollectionPages(tokensByNetwork, collectionsByNetwork) {
+  for (const network of NETWORKS) {
+    const collections = collectionsByNetwork[network.id] || [];
+    for (const collection of collections) {
+      const pagePath = path.join(COLLECTIONS_DIR, network.id, `${collection.id}.html`);
+      fs.writeFileSync(pagePath, generateCollectionPage(collection, tokensByNetwork[network.id] || [], network));
+    }
+    if (collections.length > 0) {
+      console.log(`Updated ${collections.length} collection pages in ${path.join(COLLECTIONS_DIR, network.id)}`);
+    }
+  }
+}
+
+/**
+ * Write an HTML detail page for every token
+ */
+function writeTokenPages(tokensByNetwork) {
+  for (const network of NETWORKS) {
+    for (const token of tokensByNetwork[network.id] || []) {
+      const pagePath = path.join(TOKENS_DIR, network.id, `${token.color_id}.html`);
+      fs.writeFileSync(pagePath, generateTokenPage(token, network));
+    }
+    console.log(`Updated ${(tokensByNetwork[network.id] || []).length} token pages in ${path.join(TOKENS_DIR, network.id)}`);
+  }
+}
+
 /**
  * Escape HTML special characters
  */
@@ -499,14 +1859,47 @@ function escapeHtml(str) {
 function main() {
   console.log('Reading token metadata...');
   const tokensByNetwork = readTokens();
-  console.log(`Found ${(tokensByNetwork['15215628'] || []).length} Tapyrus API tokens`);
-  console.log(`Found ${(tokensByNetwork['1939510133'] || []).length} Testnet tokens`);
+  for (const network of NETWORKS) {
+    console.log(`Found ${(tokensByNetwork[network.id] || []).length} ${network.name} tokens`);
+  }
+  const collectionsByNetwork = readCollections(tokensByNetwork);
 
   console.log('Generating index.html...');
-  const html = generateHtml(tokensByNetwork);
+  const html = generateHtml(tokensByNetwork, NETWORKS, collectionsByNetwork);
 
   fs.writeFileSync(INDEX_FILE, html);
   console.log(`Updated ${INDEX_FILE}`);
+
+  console.log('Generating JSON indexes...');
+  writeJsonIndexes(tokensByNetwork, collectionsByNetwork);
+
+  console.log('Generating token pages...');
+  writeTokenPages(tokensByNetwork);
+
+  console.log('Generating collection pages...');
+  writeCollectionPages(tokensByNetwork, collectionsByNetwork);
+
+  console.log('Generating changelog and feed...');
+  writeChangelog(tokensByNetwork);
+}
+
+if (require.main === module) {
+  main();
 }
 
-main();
+module.exports = {
+  SITE_URL,
+  readTokens,
+  groupCollections,
+  buildIndexEntry,
+  buildCollectionIndexEntry,
+  buildNetworkIndex,
+  buildRegistryIndex,
+  buildChangelog,
+  buildChangelogJson,
+  readChangelogEntries,
+  buildAtomFeed,
+  generateHtml,
+  generateTokenPage,
+  generateCollectionPage
+};
@@ -0,0 +1,331 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const {
+  COLOR_ID_PATTERN,
+  ISSUE_NUMBER_PATTERN,
+  parseIssueBody,
+  parseNetwork,
+  parseCliArgs,
+  parseMetadataJson,
+  resolveNetworkOption,
+  createMetadata
+} = require('./register-token');
+const { NETWORKS, describeNetworks } = require('./networks');
+const { SIGNATURE_PATTERN, buildSigningMessage, signMessage, verifySignature } = require('./issuer-signature');
+const { validateExtensions, extensionsDigest } = require('./extensions');
+const { prepareAssets, applyAssets, writeAssets } = require('./asset-mirror');
+
+/**
+ * Error raised when an update request fails validation
+ */
+class UpdateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UpdateError';
+  }
+}
+
+/**
+ * Validate basic input fields of an update request
+ */
+function validateUpdateFields(data, options = {}) {
+  const errors = [];
+
+  if (!data.network) {
+    errors.push('Network is required');
+  } else if (!parseNetwork(data.network)) {
+    errors.push(`Invalid network selected. Please select ${describeNetworks()}`);
+  }
+
+  if (!data.color_id) {
+    errors.push('Color ID is required');
+  } else if (!COLOR_ID_PATTERN.test(data.color_id)) {
+    errors.push('Invalid Color ID format. Must be c1/c2/c3 prefix + 64 hex characters');
+  }
+
+  if (!data.extensions) {
+    errors.push('Extensions JSON is required');
+  }
+
+  if (!data.signature) {
+    if (!options.allowUnsigned) {
+      errors.push('Issuer Signature is required to prove control of the Payment Base');
+    }
+  } else if (!SIGNATURE_PATTERN.test(data.signature)) {
+    errors.push('Invalid Issuer Signature format. Must be a 64 bytes compact signature (128 hex characters)');
+  }
+
+  if (!data.issue_number) {
+    errors.push('Issue number is required to verify the Issuer Signature');
+  } else if (!ISSUE_NUMBER_PATTERN.test(String(data.issue_number))) {
+    errors.push('Issue number must be a positive integer');
+  }
+
+  return errors;
+}
+
+/**
+ * Build the issuer signing message for an extensions update
+ */
+function buildUpdateMessage(networkInfo, colorId, metadata, extensions, issueNumber) {
+  return buildSigningMessage({
+    action: 'update',
+    networkId: networkInfo.id,
+    colorId,
+    metadataDigest: metadata.digest().toString('hex'),
+    extensionsDigest: extensionsDigest(extensions),
+    issueNumber
+  });
+}
+
+/**
+ * Validate an update request and build the updated token record without writing anything
+ *
+ * options.allowUnsigned skips the signature requirement (used when signing locally).
+ * options.assets is passed to asset mirroring.
+ */
+async function validateUpdate(data, options = {}) {
+  const errors = validateUpdateFields(data, options);
+  if (errors.length > 0) {
+    throw new UpdateError(errors.map(e => `- ${e}`).join('\n'));
+  }
+
+  let extensions;
+  try {
+    extensions = typeof data.extensions === 'string' ? parseMetadataJson(data.extensions) : data.extensions;
+  } catch (err) {
+    throw new UpdateError(`Invalid JSON format in extensions: ${err.message}`);
+  }
+
+  const extensionErrors = validateExtensions(extensions);
+  if (extensionErrors.length > 0) {
+    throw new UpdateError('Extensions validation error:\n' + extensionErrors.map(e => `- ${e}`).join('\n'));
+  }
+
+  const networkInfo = parseNetwork(data.network);
+  const colorId = data.color_id.toLowerCase();
+  const tokenPath = path.join('docs', 'tokens', networkInfo.id, `${colorId}.json`);
+
+  if (!fs.existsSync(tokenPath)) {
+    throw new UpdateError(`Color ID ${colorId} is not registered on ${networkInfo.name} (Network ID: ${networkInfo.id})`);
+  }
+
+  const tokenData = JSON.parse(fs.readFileSync(tokenPath, 'utf8'));
+  if (tokenData.status) {
+    throw new UpdateError(`Token ${colorId} is marked as ${tokenData.status.state} and can no longer be updated`);
+  }
+
+  let metadata;
+  try {
+    metadata = createMetadata(colorId, tokenData.metadata);
+  } catch (err) {
+    throw new UpdateError(`Stored metadata is invalid: ${err.message}`);
+  }
+
+  const message = buildUpdateMessage(networkInfo, colorId, metadata, extensions, data.issue_number);
+
+  if (data.signature) {
+    console.log('Verifying Issuer Signature...');
+    if (!verifySignature(message, data.signature, tokenData.payment_base)) {
+      throw new UpdateError(`Issuer Signature verification failed.\n\n` +
+        `The signature must be made with the Payment Base private key over SHA256 of the following message:\n\n` +
+        '```\n' + message + '\n```');
+    }
+    console.log('Issuer Signature verified successfully');
+  }
+
+  const updatedTokenData = {
+    ...tokenData,
+    extensions,
+    extensions_proof: {
+      updated_at: new Date().toISOString(),
+      issue_number: parseInt(data.issue_number, 10),
+      signature: data.signature ? data.signature.toLowerCase() : undefined
+    }
+  };
+
+  // Mirror the updated icon (and any asset not mirrored yet)
+  let assets;
+  try {
+    assets = await prepareAssets(updatedTokenData, options.assets);
+  } catch (err) {
+    throw new UpdateError(`Asset validation failed: ${err.message}`);
+  }
+  const assetRecords = applyAssets(updatedTokenData, assets);
+  if (assetRecords) {
+    updatedTokenData.assets = assetRecords;
+  } else {
+    delete updatedTokenData.assets;
+  }
+
+  return {
+    colorId,
+    networkInfo,
+    message,
+    tokenPath,
+    tokenData: updatedTokenData,
+    assets
+  };
+}
+
+/**
+ * Write the updated token record
+ */
+function writeUpdate(update) {
+  writeAssets(update.assets);
+  fs.writeFileSync(update.tokenPath, JSON.stringify(update.tokenData, null, 2) + '\n');
+  console.log(`Token extensions written to ${update.tokenPath}`);
+}
+
+const CLI_USAGE = `Usage: npm run update-info -- [options]
+
+Options:
+  --network <network>      Network label (${NETWORKS.map(n => n.label).join(', ')}), network ID or issue form label
+  --color-id <colorId>     Token Color ID
+  --extensions <file>      Path to the extensions JSON file
+  --issue-number <number>  Update issue number
+  --signature <hex>        Issuer Signature by the Payment Base key
+  --sign                   Sign the request with PAYMENT_BASE_PRIVATE_KEY (WIF or hex)
+                           and print the Issuer Signature (implies --dry-run)
+  --dry-run                Validate without writing any files
+  --help                   Show this help`;
+
+const CLI_VALUE_OPTIONS = {
+  '--network': 'network',
+  '--color-id': 'colorId',
+  '--extensions': 'extensions',
+  '--issue-number': 'issueNumber',
+  '--signature': 'signature'
+};
+
+/**
+ * Local CLI mode: validate or sign an update request
+ */
+async function runCli(argv) {
+  let options;
+  try {
+    options = parseCliArgs(argv, CLI_VALUE_OPTIONS);
+  } catch (err) {
+    console.error(`${err.message}\n\n${CLI_USAGE}`);
+    process.exit(1);
+  }
+
+  if (options.help) {
+    console.log(CLI_USAGE);
+    return;
+  }
+
+  let update;
+  try {
+    update = await validateUpdate({
+      network: options.network && resolveNetworkOption(options.network),
+      color_id: options.colorId,
+      extensions: options.extensions && fs.readFileSync(options.extensions, 'utf8'),
+      issue_number: options.issueNumber,
+      signature: options.signature
+    }, { allowUnsigned: options.sign });
+  } catch (err) {
+    console.error(`\nUpdate check failed:\n${err.message}`);
+    process.exit(1);
+  }
+
+  if (options.sign) {
+    const privateKey = process.env.PAYMENT_BASE_PRIVATE_KEY;
+    if (!privateKey) {
+      console.error('PAYMENT_BASE_PRIVATE_KEY environment variable is not set');
+      process.exit(1);
+    }
+    const signed = signMessage(update.message, privateKey);
+    if (signed.publicKey !== update.tokenData.payment_base.toLowerCase()) {
+      console.error('PAYMENT_BASE_PRIVATE_KEY does not match the Payment Base');
+      process.exit(1);
+    }
+    console.log('\nAdd this value to the "Issuer Signature" field of the issue:');
+    console.log(signed.signature);
+    return;
+  }
+
+  console.log(`\nExtensions for ${update.colorId}:`);
+  console.log(JSON.stringify(update.tokenData.extensions, null, 2));
+
+  if (options.dryRun) {
+    console.log('\nDry run: all checks passed, no files were written.');
+    return;
+  }
+
+  writeUpdate(update);
+}
+
+/**
+ * GitHub Actions mode: validate the issue body and write the updated token record
+ */
+async function runIssue() {
+  const issueBody = process.env.ISSUE_BODY;
+
+  if (!issueBody) {
+    console.error('ISSUE_BODY environment variable is not set');
+    process.exit(1);
+  }
+
+  console.log('Parsing issue body...');
+  const data = parseIssueBody(issueBody);
+  if (process.env.ISSUE_NUMBER) {
+    data.issue_number = process.env.ISSUE_NUMBER;
+  }
+  console.log('Parsed data:', JSON.stringify(data, null, 2));
+
+  let update;
+  try {
+    update = await validateUpdate(data);
+  } catch (err) {
+    if (!(err instanceof UpdateError)) {
+      throw err;
+    }
+    console.error(err.message);
+    fs.writeFileSync('validation-error.txt', err.message);
+    process.exit(1);
+  }
+
+  writeUpdate(update);
+
+  // Write token info for GitHub Actions
+  fs.writeFileSync('token-network.txt', update.networkInfo.id);
+  fs.writeFileSync('token-network-name.txt', update.networkInfo.name);
+  fs.writeFileSync('token-color-id.txt', update.colorId);
+
+  console.log('Token info updated');
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length > 0) {
+    await runCli(args);
+    return;
+  }
+
+  try {
+    await runIssue();
+  } catch (err) {
+    console.error('Unexpected error:', err);
+    fs.writeFileSync('validation-error.txt', `Unexpected error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Unexpected error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  buildUpdateMessage,
+  validateUpdate
+};
@@ -0,0 +1,152 @@
+/**
+ * Structured registration validation results
+ *
+ * A failed registration is described by a list of problems:
+ *
+ *   { stage, field, code, message, hint, details? }
+ *
+ * "code" is stable and meant for tooling (e.g. color_id_mismatch, outpoint_not_found); "stage"
+ * is derived from it. "field" is the issue form field the problem is about, "message" and
+ * "hint" are for people, and "details" holds multi-line text such as the message to sign.
+ *
+ * Each stage is a failure class with its own process exit code. When several stages fail,
+ * the exit code is that of the earliest stage.
+ */
+
+// Validation stages in the order they run, mapped to the exit code of a failure at that stage
+// (exit codes are kept stable, so stages added later get the next free code)
+const VALIDATION_STAGES = {
+  input: 2,
+  metadata: 3,
+  color_id: 4,
+  signature: 5,
+  outpoint: 6,
+  issuance: 9,
+  registry: 7,
+  assets: 8
+};
+
+// Problem codes mapped to their stage
+const VALIDATION_CODES = {
+  field_required: 'input',
+  field_invalid: 'input',
+  metadata_json_invalid: 'metadata',
+  metadata_invalid: 'metadata',
+  color_id_mismatch: 'color_id',
+  signature_required: 'signature',
+  signature_invalid: 'signature',
+  outpoint_not_found: 'outpoint',
+  outpoint_lookup_failed: 'outpoint',
+  script_pubkey_mismatch: 'outpoint',
+  token_not_issued: 'issuance',
+  insufficient_confirmations: 'issuance',
+  issuance_lookup_failed: 'issuance',
+  already_registered: 'registry',
+  similar_token: 'registry',
+  asset_invalid: 'assets'
+};
+
+// Exit code of failures that are not validation problems (bad CLI usage, unexpected errors)
+const GENERIC_EXIT_CODE = 1;
+
+const STAGE_ORDER = Object.keys(VALIDATION_STAGES);
+
+/**
+ * Create a validation problem
+ */
+function validationProblem(code, field, message, hint = null, details = null) {
+  if (!VALIDATION_CODES[code]) {
+    throw new Error(`Unknown validation problem code: ${code}`);
+  }
+  const problem = { stage: VALIDATION_CODES[code], field, code, message, hint };
+  if (details) {
+    problem.details = details;
+  }
+  return problem;
+}
+
+/**
+ * Sort problems by stage, keeping the order within a stage
+ */
+function sortProblems(problems) {
+  return problems
+    .map((problem, i) => ({ problem, i }))
+    .sort((a, b) => STAGE_ORDER.indexOf(a.problem.stage) - STAGE_ORDER.indexOf(b.problem.stage) || a.i - b.i)
+    .map(({ problem }) => problem);
+}
+
+/**
+ * Exit code for a list of problems: that of the earliest failing stage
+ */
+function exitCodeFor(problems) {
+  const stages = problems.map(p => STAGE_ORDER.indexOf(p.stage)).filter(i => i !== -1);
+  return stages.length > 0 ? VALIDATION_STAGES[STAGE_ORDER[Math.min(...stages)]] : GENERIC_EXIT_CODE;
+}
+
+/**
+ * Format problems as plain text for the console
+ */
+function formatProblems(problems) {
+  return problems.map(problem => {
+    const lines = [`- ${problem.message} (${problem.code})`];
+    if (problem.hint) {
+      lines.push(`  Hint: ${problem.hint}`);
+    }
+    if (problem.details) {
+      lines.push('', ...problem.details.split('\n').map(line => line ? `  ${line}` : ''), '');
+    }
+    return lines.join('\n');
+  }).join('\n').trimEnd();
+}
+
+/**
+ * Escape a value for a markdown table cell
+ */
+function tableCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Render problems as a markdown table, followed by the details of problems that have them
+ */
+function renderProblemTable(problems) {
+  const lines = [
+    '| Stage | Field | Code | Problem | Hint |',
+    '|-------|-------|------|---------|------|'
+  ];
+  for (const problem of problems) {
+    lines.push(`| ${problem.stage} | ${problem.field ? `\`${problem.field}\`` : ''} | \`${problem.code}\` | ` +
+      `${tableCell(problem.message)} | ${tableCell(problem.hint || '')} |`);
+  }
+
+  for (const problem of problems.filter(p => p.details)) {
+    lines.push('', `**${problem.message}** (\`${problem.code}\`)`, '', '```', problem.details, '```');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Build the JSON validation result written for tooling
+ */
+function buildValidationResult(problems, warnings = []) {
+  return {
+    valid: problems.length === 0,
+    exit_code: problems.length === 0 ? 0 : exitCodeFor(problems),
+    problems,
+    warnings
+  };
+}
+
+module.exports = {
+  VALIDATION_STAGES,
+  VALIDATION_CODES,
+  GENERIC_EXIT_CODE,
+  validationProblem,
+  sortProblems,
+  exitCodeFor,
+  formatProblems,
+  tableCell,
+  renderProblemTable,
+  buildValidationResult
+};
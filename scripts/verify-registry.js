@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const {
+  COLOR_ID_PATTERN,
+  createMetadata,
+  verifyReissuableColorId,
+  verifyOutPointColorId
+} = require('./register-token');
+const { buildSigningMessage, verifySignature } = require('./issuer-signature');
+const { buildDeprecationMessage } = require('./deprecate-token');
+const { validateExtensions, extensionsDigest } = require('./extensions');
+const { verifyAssets } = require('./asset-mirror');
+const { validateTokenRecord } = require('./token-schema');
+const { findNetwork, addressNetwork } = require('./networks');
+const {
+  COLLECTION_ID_PATTERN,
+  validateCollectionDefinition,
+  collectionDefinition,
+  buildCollectionMessage,
+  readNetworkCollections,
+  readTokenOwners,
+  checkCollectionMembers
+} = require('./collections');
+
+const TOKENS_DIR = 'docs/tokens';
+const COLLECTIONS_DIR = 'docs/collections';
+const INDEX_JSON_FILE = 'index.json';
+const STATS_FILE = 'stats.json';
+
+/**
+ * Verify the provenance record of a token file, returning a list of problems
+ */
+function verifyProvenance(networkId, tokenData, metadata) {
+  const problems = [];
+  const provenance = tokenData.registration;
+  const paymentBase = Buffer.from(tokenData.payment_base, 'hex');
+
+  if (provenance.metadata_digest !== metadata.digest().toString('hex')) {
+    problems.push('registration.metadata_digest does not match metadata');
+  }
+  if (provenance.canonical_metadata !== metadata.toCanonical()) {
+    problems.push('registration.canonical_metadata does not match metadata');
+  }
+  if (provenance.p2c_pubkey !== metadata.p2cPublicKey(paymentBase).toString('hex')) {
+    problems.push('registration.p2c_pubkey does not match payment_base and metadata');
+  }
+
+  const network = findNetwork(networkId);
+  if (network && provenance.p2c_address !== metadata.p2cAddress(paymentBase, addressNetwork(network))) {
+    problems.push('registration.p2c_address does not match payment_base and metadata');
+  }
+
+  if (provenance.outpoint_block !== undefined && !tokenData.outpoint) {
+    problems.push('registration.outpoint_block must not be present without outpoint');
+  }
+
+  return problems;
+}
+
+/**
+ * Verify a single token file, returning a list of problems
+ *
+ * Mirrored assets are checked against docsDir when it is given.
+ */
+function verifyTokenFile(networkId, fileName, content, docsDir) {
+  const problems = [];
+  const colorId = fileName.replace(/\.json$/, '');
+
+  // File name must be a valid (lowercase) Color ID
+  if (!COLOR_ID_PATTERN.test(colorId)) {
+    problems.push('File name is not a valid Color ID (c1/c2/c3 prefix + 64 hex characters)');
+    return problems;
+  }
+  if (colorId !== colorId.toLowerCase()) {
+    problems.push('File name must be a lowercase Color ID');
+  }
+
+  let tokenData;
+  try {
+    tokenData = JSON.parse(content);
+  } catch (err) {
+    problems.push(`Invalid JSON: ${err.message}`);
+    return problems;
+  }
+
+  const prefix = colorId.substring(0, 2).toLowerCase();
+  const hasOutPoint = tokenData.outpoint !== undefined;
+
+  // Fields, types and formats must follow the published token record schema
+  problems.push(...validateTokenRecord(tokenData));
+
+  // Color ID prefix must match the presence of outpoint
+  if (prefix === 'c1' && hasOutPoint) {
+    problems.push('outpoint must not be present for Reissuable (c1) tokens');
+  }
+  if ((prefix === 'c2' || prefix === 'c3') && !hasOutPoint) {
+    problems.push('outpoint is required for Non-Reissuable (c2) and NFT (c3) tokens');
+  }
+
+  if (problems.length > 0) {
+    return problems;
+  }
+
+  // Stored metadata must build a valid Metadata
+  let metadata;
+  try {
+    metadata = createMetadata(colorId, tokenData.metadata);
+  } catch (err) {
+    problems.push(`Metadata validation error: ${err.message}`);
+    return problems;
+  }
+
+  // Color ID derived from the stored payment_base / outpoint must reproduce the file name
+  let verification;
+  try {
+    verification = prefix === 'c1'
+      ? verifyReissuableColorId(metadata, tokenData.payment_base, colorId)
+      : verifyOutPointColorId(metadata, tokenData.outpoint.txid, tokenData.outpoint.index, colorId);
+  } catch (err) {
+    problems.push(`Color ID derivation failed: ${err.message}`);
+    return problems;
+  }
+
+  if (!verification.match) {
+    problems.push(`Color ID mismatch: derived ${verification.derived}`);
+  }
+
+  // Issuer signature, when recorded, must still verify
+  if (tokenData.issuer_signature) {
+    const { issue_number: issueNumber, signature } = tokenData.issuer_signature;
+    const message = buildSigningMessage({
+      action: 'register',
+      networkId,
+      colorId,
+      metadataDigest: metadata.digest().toString('hex'),
+      issueNumber
+    });
+    if (!verifySignature(message, signature || '', tokenData.payment_base)) {
+      problems.push('issuer_signature does not verify against payment_base');
+    }
+  }
+
+  // Provenance, when recorded, must match the values derived from the token record
+  if (tokenData.registration) {
+    problems.push(...verifyProvenance(networkId, tokenData, metadata));
+  }
+
+  // Status (tombstone) records must carry a verifying signature
+  if (tokenData.status) {
+    const { state, reason, issue_number: issueNumber, signature } = tokenData.status;
+    const message = buildDeprecationMessage({ id: networkId }, colorId, metadata, state, reason, issueNumber);
+    if (!verifySignature(message, signature || '', tokenData.payment_base)) {
+      problems.push('status.signature does not verify against payment_base');
+    }
+  }
+
+  // Extensions must match their schema and carry a verifying signature
+  if (tokenData.extensions !== undefined) {
+    const extensionErrors = validateExtensions(tokenData.extensions);
+    for (const error of extensionErrors) {
+      problems.push(`extensions: ${error}`);
+    }
+
+    const proof = tokenData.extensions_proof || {};
+    if (extensionErrors.length === 0) {
+      const message = buildSigningMessage({
+        action: 'update',
+        networkId,
+        colorId,
+        metadataDigest: metadata.digest().toString('hex'),
+        extensionsDigest: extensionsDigest(tokenData.extensions),
+        issueNumber: proof.issue_number
+      });
+      if (!verifySignature(message, proof.signature || '', tokenData.payment_base)) {
+        problems.push('extensions_proof.signature does not verify against payment_base');
+      }
+    }
+  }
+
+  // Mirrored assets must exist and match their recorded hash
+  if (docsDir && tokenData.assets !== undefined) {
+    problems.push(...verifyAssets(tokenData, docsDir));
+  }
+
+  return problems;
+}
+
+/**
+ * Verify every token file in every network directory
+ */
+function verifyRegistry(tokensDir = TOKENS_DIR) {
+  const results = [];
+
+  const networkIds = fs.readdirSync(tokensDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+
+  for (const networkId of networkIds) {
+    const networkDir = path.join(tokensDir, networkId);
+    if (!findNetwork(networkId)) {
+      results.push({ file: networkDir, problems: [`Network ID ${networkId} is not defined in networks.json`] });
+      continue;
+    }
+    const files = fs.readdirSync(networkDir)
+      .filter(f => f.endsWith('.json') && f !== INDEX_JSON_FILE && f !== STATS_FILE)
+      .sort();
+
+    for (const file of files) {
+      const content = fs.readFileSync(path.join(networkDir, file), 'utf8');
+      results.push({
+        file: path.join(networkDir, file),
+        problems: verifyTokenFile(networkId, file, content, path.dirname(tokensDir))
+      });
+    }
+  }
+
+  return results;
+}
+
+// Fields of a collection file besides the signed definition
+const COLLECTION_RECORD_FIELDS = ['collection_proof', 'assets'];
+
+/**
+ * Verify an NFT collection file, returning a list of problems
+ *
+ * tokens are the { color_id, payment_base } records of the network and collections its
+ * collection records (see collections.js).
+ */
+function verifyCollectionFile(networkId, fileName, content, tokens, collections, docsDir) {
+  const problems = [];
+  const collectionId = fileName.replace(/\.json$/, '');
+
+  if (!COLLECTION_ID_PATTERN.test(collectionId)) {
+    problems.push('File name is not a valid Collection ID');
+  }
+
+  let collection;
+  try {
+    collection = JSON.parse(content);
+  } catch (err) {
+    return [...problems, `Invalid JSON: ${err.message}`];
+  }
+
+  const definition = collectionDefinition(collection);
+  problems.push(...validateCollectionDefinition(definition));
+  for (const key of Object.keys(collection)) {
+    if (definition[key] === undefined && !COLLECTION_RECORD_FIELDS.includes(key)) {
+      problems.push(`${key} is not a known collection field`);
+    }
+  }
+  if (problems.length > 0) {
+    return problems;
+  }
+
+  const proof = collection.collection_proof;
+  if (!proof || !Number.isInteger(proof.issue_number) || proof.issue_number <= 0) {
+    problems.push('collection_proof.issue_number must be a positive integer');
+  } else if (!proof.signature) {
+    problems.push('collection_proof.signature is required');
+  } else {
+    const message = buildCollectionMessage({ id: networkId }, collectionId, definition, proof.issue_number);
+    if (!verifySignature(message, proof.signature, collection.payment_base)) {
+      problems.push('collection_proof.signature does not verify against payment_base');
+    }
+  }
+  if (proof && (typeof proof.updated_at !== 'string' || isNaN(Date.parse(proof.updated_at)))) {
+    problems.push('collection_proof.updated_at must be a date');
+  }
+
+  problems.push(...checkCollectionMembers(collectionId, collection, tokens, collections));
+
+  if (docsDir && collection.assets !== undefined) {
+    problems.push(...verifyAssets(collection, docsDir));
+  }
+
+  return problems;
+}
+
+/**
+ * Verify every NFT collection file against the token files of its network
+ */
+function verifyCollections(collectionsDir = COLLECTIONS_DIR, tokensDir = TOKENS_DIR) {
+  const results = [];
+  if (!fs.existsSync(collectionsDir)) {
+    return results;
+  }
+
+  const networkIds = fs.readdirSync(collectionsDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+
+  for (const networkId of networkIds) {
+    const networkDir = path.join(collectionsDir, networkId);
+    if (!findNetwork(networkId)) {
+      results.push({ file: networkDir, problems: [`Network ID ${networkId} is not defined in networks.json`] });
+      continue;
+    }
+
+    // Unreadable token files are reported by verifyRegistry: members are checked against the others
+    const tokens = readTokenOwners(networkId, tokensDir);
+    const collections = readNetworkCollections(networkId, collectionsDir);
+    for (const file of fs.readdirSync(networkDir).filter(f => f.endsWith('.json')).sort()) {
+      const content = fs.readFileSync(path.join(networkDir, file), 'utf8');
+      results.push({
+        file: path.join(networkDir, file),
+        problems: verifyCollectionFile(networkId, file, content, tokens, collections, path.dirname(collectionsDir))
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const tokensDir = process.argv[2] || TOKENS_DIR;
+  const collectionsDir = path.join(path.dirname(tokensDir), 'collections');
+  console.log(`Verifying token files in ${tokensDir} and collection files in ${collectionsDir}...\n`);
+
+  const results = [...verifyRegistry(tokensDir), ...verifyCollections(collectionsDir, tokensDir)];
+  const failures = results.filter(r => r.problems.length > 0);
+
+  for (const result of results) {
+    if (result.problems.length === 0) {
+      console.log(`✓ ${result.file}`);
+    } else {
+      console.log(`✗ ${result.file}`);
+      for (const problem of result.problems) {
+        console.log(`    - ${problem}`);
+      }
+    }
+  }
+
+  console.log(`\nChecked ${results.length} files, ${failures.length} with problems`);
+  process.exit(failures.length > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  verifyTokenFile,
+  verifyRegistry,
+  verifyCollectionFile,
+  verifyCollections
+};